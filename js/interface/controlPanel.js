@@ -18,8 +18,6 @@ class ControlPanel {
     this.panelValues = {}
     this.loadPanelValues()
     
-    this.browser = MPCommon.detectBrowser()
-    
     for (const item in typeListingObject) {
       if (!typeListingObject.hasOwnProperty(item)) continue
       this.panel[item] = this.getControlForType(
@@ -30,6 +28,8 @@ class ControlPanel {
     // the array contains all event callbacks any controls have
     this.globalEvents.forEach(eventType => {
       window.addEventListener(eventType, e => {
+        // there's no control for gamepads beyond the available slots
+        if (e.gamepad && e.gamepad.index >= MPCommon.maxGamepads) { return }
         this.globalEventCallbacks.forEach(f => f(e))
       })
     })
@@ -233,7 +233,7 @@ class ControlPanel {
               name: e.target.dataset.name,
               gamepadId: e.target.dataset.gamepadId
             }
-            const label = this.makeLabel(id)
+            const label = this.makeLabel(id, e.target.dataset.index)
             this.changeLabel(
               e.target.dataset.index, id, label
             )
@@ -251,7 +251,7 @@ class ControlPanel {
         switch (e.gamepad.connected) {
           case true:
             const id = MPCommon.getGamepadId(e.gamepad.id)
-            const label = this.makeLabel(id)
+            const label = this.makeLabel(id, e.gamepad.index)
             this.changeLabel(e.gamepad.index, id, label)
             this.buttons[e.gamepad.index].classList.remove('inactive')
             break
@@ -262,13 +262,23 @@ class ControlPanel {
         }
       },
       makeLabel: function (idObj) {
-        return `${idObj.name} <span>${idObj.gamepadId}</span>`
-      },
-      changeLabel: function (index, id, newText) {
-        if (typeof newText !== 'string' || !newText.length) { return }
+        // ids come from devices and remote senders, so they're never read as markup
+        const label = document.createDocumentFragment()
+        label.appendChild(document.createTextNode(`${idObj.name} `))
+        const gamepadIdText = document.createElement('span')
+        gamepadIdText.textContent = idObj.gamepadId
+        label.appendChild(gamepadIdText)
+        return label
+      },
+      changeLabel: function (index, id, newLabel) {
+        if (typeof newLabel === 'string' ? !newLabel.length : !newLabel) { return }
         this.buttons[index].dataset.name = id ? id.name : ''
         this.buttons[index].dataset.gamepadId = id ? id.gamepadId : ''
-        this.buttons[index].innerHTML = newText
+        if (typeof newLabel === 'string') {
+          this.buttons[index].textContent = newLabel
+        } else {
+          this.buttons[index].replaceChildren(newLabel)
+        }
       }
     }
   }
@@ -0,0 +1,461 @@
+/**
+ * @typedef {Object} axisNoiseEnvelope
+ * @description the range an axis moved in while the stick was left untouched
+ *
+ * @property {number} min
+ * @property {number} max
+ * @property {number} maxAbs the furthest it went from the center, to either way
+ */
+/**
+ * @typedef {Object} stickNoiseEnvelope
+ * @property {axisNoiseEnvelope} x
+ * @property {axisNoiseEnvelope} y
+ * @property {number} maxDistance the furthest the stick went from the center
+ * @property {number} sampleCount
+ */
+
+/**
+ * Finds a deadzone for a stick by sampling it at rest for a few seconds,
+ * instead of taking a single frame and adding a fixed margin.
+ *
+ * Samples are plotted while they're taken,
+ * with the range each axis moved in and the proposed deadzone.
+ * The proposed deadzone is the furthest the stick went with the chosen margin added,
+ * and it's saved to the mapping only when it's applied.
+ *
+ * @example
+ * const DzCalibrator = new DeadzoneCalibrator(Mapper, Watcher)
+ * DzCalibrator.appendToParent(document.body, cpDom)
+ * DzCalibrator.open(0, 'Wireless Controller', '054c05c4', 'left')
+ *
+ * @class
+ */
+class DeadzoneCalibrator {
+  /**
+   * @param {MappingManager} mappingManager
+   * @param {GamepadWatcher} gamepadWatcher
+   * @param {function()} [applyCallback] called after a deadzone is applied
+   */
+  constructor (mappingManager, gamepadWatcher, applyCallback) {
+    this.manager = mappingManager
+    this.watcher = gamepadWatcher
+    this.applyCallback = applyCallback || (() => false)
+    
+    this.slot = -1
+    /** @type {?gamepadId} */
+    this.gamepadId = null
+    /** @type {string} */
+    this.side = 'left'
+    /**
+     * values of x and y axes taken while sampling
+     * @type {Array<number[]>}
+     */
+    this.samples = []
+    /** @type {?stickNoiseEnvelope} */
+    this.envelope = null
+    /** @type {?number} */
+    this.proposedDeadzone = null
+    this.sampling = false
+    this.samplingStart = 0
+    this.loopID = 0
+    
+    this.margin = this.loadSettings().margin
+    
+    this.loop = this.loop.bind(this)
+    this.open = this.open.bind(this)
+    this.makeDomStructure()
+  }
+  
+  static announceMessage = MPCommon.announceMessageFrom('Deadzone Calibrator')
+  static localStorageKey = 'deadzoneCalibration'
+  /**
+   * milliseconds to take samples for
+   * @type {number}
+   */
+  static sampleDuration = 3000
+  /**
+   * added to the noise, to cover values not seen while sampling
+   * @type {number}
+   */
+  static defaultMargin = 0.02
+  /**
+   * a stick going further than this is seen as touched, and sampling is stopped
+   * @type {number}
+   */
+  static touchThreshold = 0.5
+  /**
+   * the smallest half width of the plot, so tiny noise isn't blown up
+   * @type {number}
+   */
+  static minimumPlotRange = 0.05
+  
+  /**
+   * @param {Array<number[]>} samples values of x and y axes
+   * @returns {?stickNoiseEnvelope} null if there's no sample
+   */
+  static getNoiseEnvelope (samples) {
+    if (!samples.length) { return null }
+    const envelope = {
+      x: { min: Infinity, max: -Infinity, maxAbs: 0 },
+      y: { min: Infinity, max: -Infinity, maxAbs: 0 },
+      maxDistance: 0,
+      sampleCount: samples.length
+    }
+    for (let s = 0; s < samples.length; s++) {
+      const [x, y] = samples[s]
+      for (const [axis, value] of [[envelope.x, x], [envelope.y, y]]) {
+        axis.min = Math.min(axis.min, value)
+        axis.max = Math.max(axis.max, value)
+        axis.maxAbs = Math.max(axis.maxAbs, Math.abs(value))
+      }
+      envelope.maxDistance = Math.max(envelope.maxDistance, Math.hypot(x, y))
+    }
+    return envelope
+  }
+  /**
+   * @param {stickNoiseEnvelope} envelope
+   * @param {number} margin
+   * @param {string} [deadzoneShape] 'radial' to cover the distance, axes are covered otherwise
+   * @returns {number} rounded up to 3 digits below the decimal point
+   */
+  static getDeadzoneFromEnvelope (envelope, margin, deadzoneShape) {
+    const noise = deadzoneShape === 'radial' ?
+      envelope.maxDistance : Math.max(envelope.x.maxAbs, envelope.y.maxAbs)
+    const expShift = 10 ** 3
+    // avoid 0.1 + 0.02 becoming 0.121
+    const deadzone =
+      Math.ceil(Math.round((noise + margin) * expShift * 100) / 100) / expShift
+    return Math.min(1, deadzone)
+  }
+  
+  makeDomStructure () {
+    const title = document.createElement('b')
+    title.setAttribute('class', 'title')
+    const closeButton = document.createElement('button')
+    closeButton.classList.add('close')
+    closeButton.textContent = '　　X　　'
+    const description = document.createElement('span')
+    description.setAttribute('class', 'description')
+    description.textContent =
+      'Leave the stick untouched while it\'s sampled. ' +
+      'The deadzone covers every position the stick shook to, with the margin added.'
+    
+    const canvas = document.createElement('canvas')
+    canvas.width = 200
+    canvas.height = 200
+    const result = document.createElement('div')
+    result.setAttribute('class', 'result monospace')
+    
+    const marginLabel = document.createElement('label')
+    marginLabel.textContent = 'Margin '
+    const marginInput = document.createElement('input')
+    marginInput.type = 'number'
+    marginInput.min = '0'
+    marginInput.max = '0.5'
+    marginInput.step = '0.005'
+    marginInput.value = this.margin.toString()
+    marginLabel.appendChild(marginInput)
+    
+    const buttonDiv = document.createElement('div')
+    const sampleButton = document.createElement('button')
+    sampleButton.textContent = 'Sample Again'
+    const applyButton = document.createElement('button')
+    applyButton.textContent = 'Apply Deadzone'
+    const oneEmptySpaceLetter = document.createElement('span')
+    oneEmptySpaceLetter.innerText = ' '
+    buttonDiv.appendChild(sampleButton)
+    buttonDiv.appendChild(oneEmptySpaceLetter)
+    buttonDiv.appendChild(applyButton)
+    
+    closeButton.addEventListener('click', () => { this.close() })
+    sampleButton.addEventListener('click', () => { this.startSampling() })
+    applyButton.addEventListener('click', () => { this.apply() })
+    marginInput.addEventListener('change', () => {
+      const margin = Number(marginInput.value)
+      if (marginInput.value.trim() === '' || !(margin >= 0 && margin < 1)) {
+        marginInput.value = this.margin.toString()
+        return
+      }
+      this.margin = margin
+      this.saveSettings()
+      this.updateProposal()
+    })
+    
+    const wrapper = document.createElement('div')
+    wrapper.setAttribute('id', 'deadzone-calibrator-wrapper')
+    wrapper.appendChild(title)
+    wrapper.appendChild(closeButton)
+    wrapper.appendChild(description)
+    wrapper.appendChild(canvas)
+    wrapper.appendChild(result)
+    wrapper.appendChild(marginLabel)
+    wrapper.appendChild(buttonDiv)
+    
+    this.dom = {
+      wrapper, title, canvas, result, marginInput, sampleButton, applyButton
+    }
+    this.ctx = canvas.getContext('2d')
+  }
+  
+  appendToParent (parentDom, insertAfterThisDom) {
+    if (insertAfterThisDom) {
+      parentDom.insertBefore(this.dom.wrapper, insertAfterThisDom.nextSibling)
+    } else {
+      parentDom.appendChild(this.dom.wrapper)
+    }
+  }
+  
+  /** @type {boolean} */
+  get visibility () {
+    return this.dom.wrapper.classList.contains('active')
+  }
+  set visibility (state) {
+    this.dom.wrapper.classList.toggle('active', state)
+    this.dom.wrapper.classList.toggle('inactive', !state)
+  }
+  
+  /**
+   * key of the mapping the gamepad is using now, which can be an override for the gamepad
+   * @type {(gamepadId|mappingOverrideId)}
+   */
+  get mappedGamepadId () {
+    const id = this.watcher.gamepadId[this.slot]
+    return this.manager.getMappedGamepadId(
+      this.gamepadId, this.slot, id ? id.nickname : null
+    )
+  }
+  /**
+   * mapping the gamepad is using now
+   * @type {?gamepadMapping}
+   */
+  get mapping () {
+    return this.manager.getMapping(this.mappedGamepadId)
+  }
+  /**
+   * stick being calibrated on the mapping
+   * @type {?Object}
+   */
+  get stickMapping () {
+    const mapping = this.mapping
+    return mapping && mapping.sticks ? mapping.sticks[this.side] || null : null
+  }
+  
+  /**
+   * Start calibrating the stick of the gamepad in the slot.
+   * @param {number|string} slot
+   * @param {string} name
+   * @param {gamepadId} gamepadId
+   * @param {string} side 'left' or 'right'
+   * @returns {boolean}
+   */
+  open (slot, name, gamepadId, side) {
+    if (!gamepadId) { return false }
+    this.slot = Number(slot)
+    this.gamepadId = gamepadId
+    this.side = side
+    this.dom.title.innerText = `Deadzone of the ${side} stick of ${name}`
+    
+    const stickMapping = this.stickMapping
+    if (
+      !stickMapping ||
+      typeof stickMapping.x !== 'number' || typeof stickMapping.y !== 'number'
+    ) {
+      DeadzoneCalibrator.announceMessage(new Error(
+        `${name} doesn't have the ${side} stick on its mapping.`
+      ))
+      return false
+    }
+    this.visibility = true
+    this.startSampling()
+    return true
+  }
+  close () {
+    this.visibility = false
+    this.sampling = false
+    cancelAnimationFrame(this.loopID)
+    this.loopID = 0
+  }
+  
+  startSampling () {
+    this.samples = []
+    this.envelope = null
+    this.proposedDeadzone = null
+    this.sampling = true
+    this.samplingStart = performance.now()
+    this.dom.applyButton.disabled = true
+    cancelAnimationFrame(this.loopID)
+    this.loopID = requestAnimationFrame(this.loop)
+  }
+  /**
+   * Take a sample each frame until the duration passes.
+   * @param {DOMHighResTimeStamp} timestamp
+   */
+  loop (timestamp) {
+    if (!this.visibility || !this.sampling) {
+      this.loopID = 0
+      return
+    }
+    const gamepad = this.watcher.getGamepadInSlot(this.slot)
+    const stickMapping = this.stickMapping
+    if (!gamepad || !stickMapping) {
+      this.stopSampling('The gamepad is disconnected.')
+      return
+    }
+    
+    const axisOptions = this.mapping.axisOptions || {}
+    const sample = [stickMapping.x, stickMapping.y].map(a =>
+      MappingManager.normalizeAxisValue(gamepad.axes[a] || 0, axisOptions[a])
+    )
+    if (Math.hypot(...sample) > DeadzoneCalibrator.touchThreshold) {
+      this.stopSampling('The stick moved. Leave it untouched, and sample again.')
+      return
+    }
+    this.samples.push(sample)
+    this.envelope = DeadzoneCalibrator.getNoiseEnvelope(this.samples)
+    this.updateProposal()
+    
+    const elapsed = timestamp - this.samplingStart
+    if (elapsed >= DeadzoneCalibrator.sampleDuration) {
+      this.sampling = false
+      this.loopID = 0
+      this.dom.applyButton.disabled = false
+      this.updateProposal()
+      return
+    }
+    this.loopID = requestAnimationFrame(this.loop)
+  }
+  /**
+   * @param {string} reason
+   */
+  stopSampling (reason) {
+    this.sampling = false
+    this.loopID = 0
+    this.samples = []
+    this.envelope = null
+    this.proposedDeadzone = null
+    this.dom.result.innerText = reason
+    this.draw()
+  }
+  
+  /**
+   * Calculate the deadzone again, and show it.
+   */
+  updateProposal () {
+    if (!this.envelope) { return }
+    const stickMapping = this.stickMapping
+    const sticks = this.mapping.sticks
+    const deadzoneShape = stickMapping && stickMapping.deadzoneShape ?
+      stickMapping.deadzoneShape : sticks.deadzoneShape
+    this.proposedDeadzone = DeadzoneCalibrator.getDeadzoneFromEnvelope(
+      this.envelope, this.margin, deadzoneShape
+    )
+    
+    const envelope = this.envelope
+    const current = stickMapping && typeof stickMapping.deadzone === 'number' ?
+      stickMapping.deadzone.toFixed(3) : 'N/A'
+    this.dom.result.innerText = [
+      `${this.sampling ? 'Sampling...' : 'Sampled'} ${envelope.sampleCount} frames`,
+      `X ${envelope.x.min.toFixed(3)} ~ ${envelope.x.max.toFixed(3)}`,
+      `Y ${envelope.y.min.toFixed(3)} ~ ${envelope.y.max.toFixed(3)}`,
+      `Deadzone ${current} -> ${this.proposedDeadzone.toFixed(3)}`
+    ].join('\n')
+    this.draw(deadzoneShape === 'radial')
+  }
+  /**
+   * Plot samples, their envelope, and the proposed deadzone.
+   * The plot is zoomed in to the proposed deadzone.
+   * @param {boolean} [isRadial]
+   */
+  draw (isRadial) {
+    const ctx = this.ctx
+    const width = this.dom.canvas.width
+    const height = this.dom.canvas.height
+    ctx.clearRect(0, 0, width, height)
+    ctx.strokeStyle = '#5e5e5e'
+    ctx.beginPath()
+    ctx.moveTo(width / 2, 0)
+    ctx.lineTo(width / 2, height)
+    ctx.moveTo(0, height / 2)
+    ctx.lineTo(width, height / 2)
+    ctx.stroke()
+    if (!this.envelope) { return }
+    
+    const range = Math.max(
+      DeadzoneCalibrator.minimumPlotRange, (this.proposedDeadzone || 0) * 1.25
+    )
+    const toX = v => (v / range + 1) * width / 2
+    const toY = v => (v / range + 1) * height / 2
+    
+    // envelope of each axis
+    const envelope = this.envelope
+    ctx.fillStyle = 'rgba(180, 180, 180, 0.2)'
+    ctx.fillRect(
+      toX(envelope.x.min), toY(envelope.y.min),
+      toX(envelope.x.max) - toX(envelope.x.min),
+      toY(envelope.y.max) - toY(envelope.y.min)
+    )
+    // proposed deadzone
+    if (this.proposedDeadzone !== null) {
+      const deadzone = this.proposedDeadzone
+      ctx.strokeStyle = '#cfcfcf'
+      ctx.beginPath()
+      if (isRadial) {
+        ctx.arc(toX(0), toY(0), toX(deadzone) - toX(0), 0, 2 * Math.PI)
+      } else {
+        ctx.rect(
+          toX(-deadzone), toY(-deadzone),
+          toX(deadzone) - toX(-deadzone), toY(deadzone) - toY(-deadzone)
+        )
+      }
+      ctx.stroke()
+    }
+    // samples
+    ctx.fillStyle = '#9f9f9f'
+    for (let s = 0; s < this.samples.length; s++) {
+      ctx.fillRect(toX(this.samples[s][0]) - 1, toY(this.samples[s][1]) - 1, 2, 2)
+    }
+  }
+  
+  /**
+   * Save the proposed deadzone to the mapping.
+   * @returns {boolean}
+   */
+  apply () {
+    const stickMapping = this.stickMapping
+    if (this.sampling || this.proposedDeadzone === null || !stickMapping) {
+      return false
+    }
+    // an override gets the deadzone, so others of the same kind keep theirs
+    const mapping = this.manager.mappings[this.mappedGamepadId]
+    if (!mapping.sticks) { mapping.sticks = {} }
+    if (!mapping.sticks[this.side]) { mapping.sticks[this.side] = {} }
+    mapping.sticks[this.side].deadzone = this.proposedDeadzone
+    const result = this.manager.store()
+    if (result) {
+      DeadzoneCalibrator.announceMessage(
+        `Deadzone of the ${this.side} stick is set to ${this.proposedDeadzone.toFixed(3)}.`
+      )
+      this.applyCallback()
+      this.close()
+    }
+    return result
+  }
+  
+  saveSettings () {
+    window.localStorage.setItem(
+      DeadzoneCalibrator.localStorageKey, JSON.stringify({ margin: this.margin })
+    )
+  }
+  /**
+   * @returns {{margin: number}}
+   */
+  loadSettings () {
+    const settings = JSON.parse(
+      window.localStorage.getItem(DeadzoneCalibrator.localStorageKey)
+    ) || {}
+    return {
+      margin: typeof settings.margin === 'number' && settings.margin >= 0 ?
+        settings.margin : DeadzoneCalibrator.defaultMargin
+    }
+  }
+}
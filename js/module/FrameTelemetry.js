@@ -0,0 +1,250 @@
+/**
+ * @event MPCommon#frameTiming
+ * @type {Object}
+ * @description
+ * Timing of a frame of a loop, dispatched by {@link MPCommon.announceFrameTiming}.
+ *
+ * @property {string} detail.from name of the loop
+ * @property {DOMHighResTimeStamp} detail.timestamp
+ * @property {number} detail.interval milliseconds from the last frame
+ * @property {number} detail.framesLost
+ * approximate number of frames skipped before this frame,
+ * 0 unless the interval is big enough by {@link MPCommon.isIntervalBigEnough}
+ * @property {number[]} detail.latencies
+ * milliseconds between the timestamp of each gamepad state and the moment it's drawn
+ * @property {number} detail.changesDropped
+ * number of changes replaced by newer ones before being used in this frame
+ */
+/**
+ * @typedef {Object} timingRecord
+ * @property {number[]} intervals
+ * @property {number[]} latencies
+ * @property {number} frames number of frames recorded since the last reset
+ * @property {number} framesLost total lost frames since the last reset
+ * @property {number} changesDropped total dropped changes since the last reset
+ * @property {number} framesLostInPeriod lost frames since the last periodic report
+ */
+/**
+ * @typedef {Object} timingSummary
+ * @property {number} count
+ * @property {number} min
+ * @property {number} max
+ * @property {number} average
+ * @property {number} p95 95th percentile
+ */
+
+/**
+ * Collects `frameTiming` events from loops of the app,
+ * keeping the recent ones to show them as histograms and summaries.
+ * Lost frames are reported periodically as one message for each loop,
+ * instead of a message for every delayed frame.
+ *
+ * @class
+ */
+class FrameTelemetry {
+  /**
+   * @param {number} [windowSize=600] number of recent values to keep for each loop
+   */
+  constructor (windowSize = 600) {
+    this.windowSize = windowSize
+    /** @type {Object.<string, timingRecord>} */
+    this.records = {}
+    this.reportID = 0
+    
+    this.record = this.record.bind(this)
+    this.report = this.report.bind(this)
+    window.addEventListener('frameTiming', this.record)
+  }
+  
+  static announceMessage = MPCommon.announceMessageFrom('Frame Telemetry')
+  
+  /**
+   * width of each bucket of histograms in milliseconds
+   * @type {number}
+   */
+  static bucketSize = 2
+  /**
+   * number of buckets of histograms. The last one covers every bigger value.
+   * @type {number}
+   */
+  static bucketAmount = 25
+  
+  /**
+   * Count values in each bucket.
+   * @param {number[]} values
+   * @param {number} [bucketSize]
+   * @param {number} [bucketAmount]
+   * @returns {number[]}
+   */
+  static makeHistogram (
+    values,
+    bucketSize = FrameTelemetry.bucketSize,
+    bucketAmount = FrameTelemetry.bucketAmount
+  ) {
+    const buckets = Array(bucketAmount).fill(0)
+    for (let v = 0; v < values.length; v++) {
+      const bucket = Math.min(
+        Math.max(Math.floor(values[v] / bucketSize), 0), bucketAmount - 1
+      )
+      buckets[bucket]++
+    }
+    return buckets
+  }
+  /**
+   * @param {number[]} values
+   * @returns {?timingSummary} null if there's no value
+   */
+  static summarize (values) {
+    if (!values.length) { return null }
+    const sorted = values.slice().sort((a, b) => a - b)
+    return {
+      count: sorted.length,
+      min: sorted[0],
+      max: sorted[sorted.length - 1],
+      average: sorted.reduce((sum, v) => sum + v, 0) / sorted.length,
+      p95: sorted[Math.min(
+        Math.floor(sorted.length * 0.95), sorted.length - 1
+      )]
+    }
+  }
+  /**
+   * @param {?timingSummary} summary
+   * @returns {string}
+   */
+  static describeSummary (summary) {
+    if (!summary) { return 'no data' }
+    return [
+      `avg ${summary.average.toFixed(1)}`,
+      `p95 ${summary.p95.toFixed(1)}`,
+      `max ${summary.max.toFixed(1)}`
+    ].join(', ') + ' ms'
+  }
+  
+  /**
+   * @param {string} from
+   * @returns {timingRecord}
+   */
+  getRecord (from) {
+    if (!this.records[from]) {
+      this.records[from] = {
+        intervals: [],
+        latencies: [],
+        frames: 0,
+        framesLost: 0,
+        changesDropped: 0,
+        framesLostInPeriod: 0
+      }
+    }
+    return this.records[from]
+  }
+  /**
+   * @param {MPCommon#event:frameTiming} e
+   * @listens MPCommon#event:frameTiming
+   */
+  record (e) {
+    const detail = e.detail
+    const record = this.getRecord(detail.from)
+    
+    record.frames++
+    record.framesLost += detail.framesLost
+    record.framesLostInPeriod += detail.framesLost
+    record.changesDropped += detail.changesDropped || 0
+    record.intervals.push(detail.interval)
+    if (detail.latencies) {
+      record.latencies.push(...detail.latencies)
+    }
+    
+    // only keep recent values
+    if (record.intervals.length > this.windowSize) {
+      record.intervals.splice(0, record.intervals.length - this.windowSize)
+    }
+    if (record.latencies.length > this.windowSize) {
+      record.latencies.splice(0, record.latencies.length - this.windowSize)
+    }
+  }
+  reset () {
+    this.records = {}
+  }
+  
+  /**
+   * @returns {string[]} a line of summaries for each loop
+   */
+  describe () {
+    const lines = []
+    for (const from in this.records) {
+      if (!this.records.hasOwnProperty(from)) { continue }
+      const record = this.records[from]
+      let line = `${from}: interval ` +
+        FrameTelemetry.describeSummary(FrameTelemetry.summarize(record.intervals)) +
+        `, ${record.framesLost} frames lost out of ${record.frames}`
+      if (record.latencies.length) {
+        line += ', latency ' +
+          FrameTelemetry.describeSummary(FrameTelemetry.summarize(record.latencies))
+      }
+      if (record.changesDropped) {
+        line += `, ${record.changesDropped} changes dropped`
+      }
+      lines.push(line)
+    }
+    return lines
+  }
+  
+  /**
+   * Announce lost frames of each loop every given seconds,
+   * if there was any.
+   * @param {number} [seconds=60]
+   */
+  startReporting (seconds = 60) {
+    this.stopReporting()
+    this.reportID = setInterval(this.report, seconds * 1000)
+  }
+  stopReporting () {
+    clearInterval(this.reportID)
+    this.reportID = 0
+  }
+  report () {
+    for (const from in this.records) {
+      if (!this.records.hasOwnProperty(from)) { continue }
+      const record = this.records[from]
+      if (!record.framesLostInPeriod) { continue }
+      FrameTelemetry.announceMessage(
+        `${from} lost about ${record.framesLostInPeriod} frames recently. ` +
+        `Interval: ${FrameTelemetry.describeSummary(
+          FrameTelemetry.summarize(record.intervals)
+        )}`,
+        'warn'
+      )
+      record.framesLostInPeriod = 0
+    }
+  }
+  
+  /**
+   * Draw a histogram of the values on the canvas.
+   * Each bar covers {@link FrameTelemetry.bucketSize} milliseconds,
+   * and the line marks the length of a frame.
+   * @param {HTMLCanvasElement} canvas
+   * @param {number[]} values
+   * @param {string} [color]
+   */
+  static drawHistogram (canvas, values, color = '#c1c1c1') {
+    const ctx = canvas.getContext('2d')
+    const buckets = FrameTelemetry.makeHistogram(values)
+    const highest = Math.max(...buckets, 1)
+    const barWidth = canvas.width / buckets.length
+    
+    ctx.clearRect(0, 0, canvas.width, canvas.height)
+    ctx.fillStyle = color
+    for (let b = 0; b < buckets.length; b++) {
+      const barHeight = buckets[b] / highest * canvas.height
+      ctx.fillRect(
+        b * barWidth, canvas.height - barHeight,
+        Math.max(barWidth - 1, 1), barHeight
+      )
+    }
+    
+    const frameLine =
+      MPCommon.frameLength / FrameTelemetry.bucketSize * barWidth
+    ctx.fillStyle = '#ff0000'
+    ctx.fillRect(frameLine, 0, 1, canvas.height)
+  }
+}
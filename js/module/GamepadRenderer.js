@@ -271,11 +271,35 @@ class GamepadRenderer {
     this.renderAll = this.renderAll.bind(this)
     this.requestRender()
     
+    /**
+     * number of changes replaced before being drawn in the current frame
+     * @type {number}
+     */
+    this._changesDropped = 0
+    /**
+     * timestamp of the change last drawn in each slot,
+     * to leave changes without a new state out of latencies
+     * @type {Array<?DOMHighResTimeStamp>}
+     */
+    this._drawnTimestamps = Array(this.maxGamepads).fill(null)
     window.addEventListener('processedGamepadChange', e => {
+      const pendingChanges = this._processedGamepadChange
       this._processedGamepadChange = e.detail
+      if (!pendingChanges) { return }
+      // keep changes of slots the new one has nothing for
+      const changes = Object.assign({}, e.detail)
+      for (let i = 0; i < changes.length; i++) {
+        if (!pendingChanges[i]) { continue }
+        if (changes[i]) {
+          this._changesDropped++
+        } else {
+          changes[i] = pendingChanges[i]
+        }
+      }
+      this._processedGamepadChange = changes
     })
-    window.addEventListener('gamepaddisconnected', e => {
-      if (!e.gamepad.connected) {
+    window.addEventListener('gamepadslotdisconnected', e => {
+      if (!e.gamepad.connected && this.skinSlot[e.gamepad.index]) {
         this.removeSkinSlot(e.gamepad.index)
       }
     })
@@ -297,6 +321,11 @@ class GamepadRenderer {
     '.json', '.txt', '.mpskin.json'
   ]
   static announceMessage = MPCommon.announceMessageFrom('Gamepad Renderer')
+  /**
+   * opacity of a dpad direction held but left out by SOCD resolution
+   * @type {number}
+   */
+  static socdConflictAlpha = 0.4
   /**
    * Return an array of unique values with no duplicates.
    * If an object is given, values of the objects will be used.
@@ -1196,21 +1225,12 @@ class GamepadRenderer {
     requestAnimationFrame(this.renderAll)
   }
   renderAll (timestamp) {
+    const lastTimestamp = this._timestamp
     /**
-     * true if the interval from the last frame was longer than 2 frame length
-     * @type {boolean}
+     * milliseconds between the timestamp of each drawn gamepad state and now
+     * @type {number[]}
      */
-    const framesLost =
-      MPCommon.isIntervalBigEnough(timestamp, this._timestamp)
-    if (framesLost) {
-      const approxFrames = Math.round(
-        (timestamp - this._timestamp) / MPCommon.frameLength
-      )
-      GamepadRenderer.announceMessage(
-        `Frames delayed: ${approxFrames}`,
-        'warn'
-      )
-    }
+    const latencies = []
     
     this.renderPending = false
     
@@ -1232,6 +1252,24 @@ class GamepadRenderer {
       
       // render process for inputs
       if (gamepadChange) {
+        if (gamepadChange.properties.indexOf('composited') !== -1) {
+          // the gamepad is drawn as a part of a composite device in another slot
+          if (skinSlot) { this.removeSkinSlot(gamepadIndex) }
+          continue
+        }
+        if (gamepadChange.properties.indexOf('vacated') !== -1) {
+          // the second player shown in the slot is gone
+          if (skinSlot) { this.removeSkinSlot(gamepadIndex) }
+          continue
+        }
+        if (
+          typeof gamepadChange.timestamp === 'number' &&
+          gamepadChange.timestamp !== this._drawnTimestamps[gamepadIndex]
+        ) {
+          // refreshes and releases of taps carry the timestamp of an earlier state
+          latencies.push(performance.now() - gamepadChange.timestamp)
+        }
+        this._drawnTimestamps[gamepadIndex] = gamepadChange.timestamp
         // changes are received, work on rendering them
         if (skinSlot) {
           skinSlot.assigning = gamepadChange.properties.indexOf('assigning') !== -1
@@ -1291,6 +1329,14 @@ class GamepadRenderer {
     this._processedGamepadChange = null
     // this._timestamp = null
     
+    MPCommon.announceFrameTiming(
+      'Gamepad Renderer', this._timestamp, lastTimestamp, {
+        latencies: latencies,
+        changesDropped: this._changesDropped
+      }
+    )
+    this._changesDropped = 0
+    
     this.requestRender()
   }
   
@@ -1435,6 +1481,7 @@ class GamepadRenderer {
        *  @property {?Object.<string, ?(buttonChange|basicButtonChange)>} dpad
        *  @property {?Object.<string, ?buttonChange>} face
        *  @property {?Object.<string, ?buttonChange>} shoulder
+       *  @property {?Object.<string, ?buttonChange>} extra
        */
       const buttons = gamepadChange.buttons
       const buttonLayerIndexDefault = inst.buttons.layer
@@ -1477,7 +1524,23 @@ class GamepadRenderer {
               const valueIsOff = Array.isArray(value) ?
                 value[0] === 0 && value[1] === 0 :
                 value === 0
-              if (valueIsOff) {
+              if (valueIsOff && buttons[buttonGroupName][buttonName].conflicting) {
+                // held but left out by SOCD resolution, drawn dimmed over the inactive state
+                this.followInstructions(
+                  ctx, buttonLayerIndex, src,
+                  buttonInst.off, null,
+                  null, null
+                )
+                this.followInstructions(
+                  ctx, buttonLayerIndex, src,
+                  buttonInst.on, 1,
+                  GamepadRenderer.socdConflictAlpha, null
+                )
+                // keep it from fading out while it's held
+                activeState.buttons[buttonGroupName][buttonName] = true
+                lastActive.buttons[buttonGroupName][buttonName] = timestampAtStart
+                alpha.buttons[buttonGroupName][buttonName] = 1
+              } else if (valueIsOff) {
                 this.followInstructions(
                   ctx, buttonLayerIndex, src,
                   buttonInst.off, null,
@@ -1949,6 +2012,39 @@ class GamepadRenderer {
       clearInst, null
     )
   }
+  /**
+   * Show a message on the info layer of a slot, outside of a gamepad change.
+   * @param {number} slot
+   * @param {string[]} message
+   * @returns {boolean}
+   */
+  showMessage (slot, message) {
+    const skinSlot = this.skinSlot[slot]
+    if (!skinSlot || !skinSlot.ctx || !skinSlot.instruction) { return false }
+    
+    const inst = skinSlot.instruction
+    skinSlot.messageDisplayTimeLeft = -1
+    this.resetInfoLayerTimer(skinSlot)
+    this.writeOnInfoLayer(
+      skinSlot.ctx[inst.info.layer], inst.info.message, message
+    )
+    return true
+  }
+  /**
+   * Draw every stick/button of the slot again at full opacity,
+   * as if the gamepad was just connected.
+   * @param {number} [slot] every slot if not given
+   */
+  resetFadeout (slot) {
+    const slots = typeof slot === 'number' ?
+      [slot] : Object.keys(this.skinSlot)
+    for (const s of slots) {
+      if (this.skinSlot[s]) {
+        this.skinSlot[s].activeStateReady = false
+      }
+    }
+    this.requestRender()
+  }
   
   /**
    * Arrange the received arguments into the order of instructions,
@@ -2346,7 +2442,7 @@ class GamepadRenderer {
   loadOrders () {
     this.order = {
       stick: ['left','right'],
-      buttonGroup: ['dpad', 'face', 'shoulder'],
+      buttonGroup: ['dpad', 'face', 'shoulder', 'extra'],
       button: [
         // joystick rendering will skip after first property of this array
         // so first property should be the joystick related dpad value
@@ -2356,7 +2452,11 @@ class GamepadRenderer {
           'select','start','l3','r3',
           'home','touchpad'
         ],
-        ['l1','r1','l2','r2']
+        ['l1','r1','l2','r2'],
+        [
+          'paddle1','paddle2','paddle3','paddle4','capture',
+          'fn1','fn2','turbo','extra1','extra2'
+        ]
       ]
     }
   }
@@ -28,6 +28,40 @@
  * @type {GamepadEvent}
  */
 
+/**
+ * @typedef {Object} SlotGamepadEvent
+ * @property {Object} gamepad
+ * @property {string} gamepad.id `Gamepad.id` of the gamepad
+ * @property {number} gamepad.index slot the gamepad is taking
+ * @property {number} gamepad.sourceIndex `Gamepad.index` of the gamepad
+ * @property {boolean} gamepad.connected
+ * @property {string} type
+ * Either `gamepadslotconnected` or `gamepadslotdisconnected`.
+ */
+/**
+ * @event GamepadWatcher#gamepadslotconnected
+ * @type {SlotGamepadEvent}
+ * @description
+ * Fired when a gamepad takes a slot,
+ * including when it's moved from another slot.
+ */
+/**
+ * @event GamepadWatcher#gamepadslotdisconnected
+ * @type {SlotGamepadEvent}
+ * @description
+ * Fired when a gamepad leaves a slot,
+ * including when it's moved to another slot.
+ */
+
+/**
+ * @typedef {Object} InputSource
+ * @description
+ * Anything other than the browser that provides states of gamepads.
+ * States given by `getGamepads` should be new objects on every call,
+ * just like `navigator.getGamepads` on Chromium.
+ * @property {function(): Array<?Gamepad>} getGamepads
+ */
+
 /**
  * @typedef {Object} GamepadChange
  * @description
@@ -44,19 +78,26 @@
  * @property {Object} id `Gamepad.id` formatted into the name and the gamepadId.
  * @property {string} id.name
  * @property {gamepadId} id.gamepadId
+ * @property {string} [id.nickname] nickname given to the device in the slot
+ * @property {DOMHighResTimeStamp} timestamp `Gamepad.timestamp` of the state
  * @property {?axisChange[]} axes
  * @property {?buttonChange[]} buttons
+ *
+ * Changes are found by comparing with a copy of the state of the last frame,
+ * so they're the same on every browser.
  */
 /**
  * @typedef {Object} axisChange Contains changes made on a single axis of a gamepad.
  * @property {number} value value Raw value of the axis.
  * @property {number} delta value Represents how much it moved from the last position.
+ * @property {boolean} [tapped] Set when the axis was pushed and brought back between two frames, and only caught by sampling. `value` is the farthest value seen while it was pushed, and the return is reported on the next frame.
  */
 /**
  * @typedef {Object} buttonChange Contains changes made on a single button of a gamepad.
  * @property {boolean} pressed Indicates the state of the button. This will be undefined if there's no change.
  * @property {number} value Value of the button. It's 0 or 1 for digital buttons, and any value between and including them for analog buttons.
  * @property {number} delta Change of the value from the last time processedGamepadChange was made.
+ * @property {boolean} [tapped] Set when the button was pressed and released between two frames, and only caught by sampling. `value` is the highest value seen while it was pressed, and the release is reported on the next frame.
  */
 
 /**
@@ -68,9 +109,7 @@
  * If there was no changes for a gamepad (or it's not connected), the corresponding property will be set as null.
  *
  * @property {?GamepadChange} detail.0
- * @property {?GamepadChange} detail.1
- * @property {?GamepadChange} detail.2
- * @property {?GamepadChange} detail.3
+ * There is one property for each slot, from 0 to `MPCommon.maxGamepads - 1`.
  * @property {number} detail.length Defined so it can be iterated with for loop.
  */
 
@@ -94,21 +133,64 @@ class GamepadWatcher {
     /**
      * Contains Gamepads passed by value from gamepad connection events.
      * Gamepads are only passed when they actually represents one.
-     * @type {Object}
-     * @property {Gamepad} [0]
-     * @property {Gamepad} [1]
-     * @property {Gamepad} [2]
-     * @property {Gamepad} [3]
+     * Keys are slot indexes, from 0 to `maxGamepads - 1`.
+     * @type {Object.<number, Gamepad>}
      */
     this.gamepads = {}
-    /** @type {Array<{name: string, gamepadId: string}>} */
+    /** @type {Array<{name: string, gamepadId: string, nickname: (string|undefined)}>} */
     this.gamepadId = []
+    /**
+     * decides the slot of each gamepad, instead of `Gamepad.index`
+     * @type {SlotAssigner}
+     */
+    this.slotAssigner = new SlotAssigner(this.maxGamepads)
+    /**
+     * Objects providing Gamepad-shaped states in addition to the browser.
+     * @type {InputSource[]}
+     */
+    this.inputSources = []
     this.onLoop = false
     this.pollID = 0
+    /**
+     * Milliseconds between samplings made in addition to each frame.
+     * No additional sampling is made when it's 0.
+     * @type {number}
+     */
+    this.samplingInterval = 0
+    this.samplingID = 0
+    /**
+     * the highest value of each button seen pressed by sampling,
+     * since the last frame
+     * @type {Object.<number, number[]>}
+     */
+    this._sampledPeaks = {}
+    /**
+     * the value of each axis seen farthest from the last frame by sampling,
+     * since the last frame
+     * @type {Object.<number, number[]>}
+     */
+    this._sampledAxisPeaks = {}
+    /**
+     * values of buttons reported as tapped on the last frame,
+     * so their release can be reported on the next frame
+     * @type {Object.<number, Object.<number, number>>}
+     */
+    this._tappedValues = {}
+    /**
+     * values of axes reported as tapped on the last frame,
+     * so their return can be reported on the next frame
+     * @type {Object.<number, Object.<number, number>>}
+     */
+    this._tappedAxisValues = {}
+    /**
+     * slots to report every axis and button of on the next frame
+     * @type {Set<number>}
+     */
+    this._slotsToRefresh = new Set()
     /** @type {?DOMHighResTimeStamp} */
     this._lastTimestamp = null
     
-    this.browser = MPCommon.detectBrowser()
+    this.sample = this.sample.bind(this)
     
     if (GamepadWatcher.hasEvents) {
       window.addEventListener('gamepadconnected', e => {
@@ -142,12 +224,217 @@ class GamepadWatcher {
     }))
   }
   
+  /**
+   * Dispatch a connection event for a slot.
+   * @param {Gamepad} gamepad
+   * @param {number} slot
+   * @param {boolean} connection
+   * @fires GamepadWatcher#gamepadslotconnected
+   * @fires GamepadWatcher#gamepadslotdisconnected
+   */
+  static announceSlotConnection (gamepad, slot, connection) {
+    const event = new Event(
+      connection ? 'gamepadslotconnected' : 'gamepadslotdisconnected'
+    )
+    event.gamepad = {
+      id: gamepad.id,
+      index: slot,
+      sourceIndex: gamepad.index,
+      connected: connection
+    }
+    window.dispatchEvent(event)
+  }
+  
   static announceMessage = MPCommon.announceMessageFrom('Gamepad Watcher')
   
+  /**
+   * Make a copy of the gamepad state that won't change later.
+   * Some browsers give a live reference of a gamepad that keeps changing,
+   * so a copy is needed to compare states of different moments.
+   * @param {Gamepad} gamepad
+   * @returns {Gamepad}
+   */
+  static makeSnapshot (gamepad) {
+    return {
+      id: gamepad.id,
+      index: gamepad.index,
+      connected: gamepad.connected,
+      mapping: gamepad.mapping,
+      timestamp: gamepad.timestamp,
+      axes: Array.from(gamepad.axes),
+      buttons: Array.from(gamepad.buttons, button => ({
+        pressed: button.pressed,
+        touched: button.touched,
+        value: button.value
+      }))
+    }
+  }
+  
+  /**
+   * the longest sampling interval allowed,
+   * as it's meaningless to sample less often than frames
+   * @type {number}
+   */
+  static maxSamplingInterval = Math.floor(MPCommon.frameLength)
+  /**
+   * how far an axis should move away and back between frames
+   * to be reported as tapped, so shaking at rest isn't
+   * @type {number}
+   */
+  static axisTapThreshold = 0.5
+  
   get connectionAmount () {
     return Object.keys(this.gamepads).length
   }
   
+  /**
+   * Add a source of Gamepad-shaped states to check on every loop.
+   * The source is expected to dispatch `gamepadconnected` and
+   * `gamepaddisconnected` events on its own.
+   * @param {InputSource} source
+   * @returns {boolean}
+   */
+  addInputSource (source) {
+    if (this.inputSources.indexOf(source) !== -1) { return false }
+    this.inputSources.push(source)
+    return true
+  }
+  /**
+   * @param {InputSource} source
+   * @returns {boolean}
+   */
+  removeInputSource (source) {
+    const sourceIndex = this.inputSources.indexOf(source)
+    if (sourceIndex === -1) { return false }
+    this.inputSources.splice(sourceIndex, 1)
+    return true
+  }
+  /**
+   * Get current states of gamepads from the browser and every input source.
+   * A gamepad from an input source is left out
+   * if the browser already has a gamepad on the same index.
+   * @returns {Array<?Gamepad>}
+   */
+  getGamepads () {
+    const gamepads = Array.from(navigator.getGamepads())
+    for (let s = 0; s < this.inputSources.length; s++) {
+      const sourceGamepads = this.inputSources[s].getGamepads()
+      for (let g = 0; g < sourceGamepads.length; g++) {
+        const gamepad = sourceGamepads[g]
+        if (!gamepad || gamepads[gamepad.index]) { continue }
+        gamepads[gamepad.index] = gamepad
+      }
+    }
+    return gamepads
+  }
+  
+  /**
+   * @param {number} slot
+   * @returns {?Gamepad} the last known state of the gamepad in the slot
+   */
+  getGamepadInSlot (slot) {
+    return this.gamepads[slot] || null
+  }
+  
+  /**
+   * Put the gamepad in a slot given by the slot assigner.
+   * @param {Gamepad} gamepad
+   * @returns {number} slot the gamepad took, -1 if there was no free slot
+   */
+  connectGamepad (gamepad) {
+    const id = MPCommon.getGamepadId(gamepad.id)
+    const slot = this.slotAssigner.occupy(gamepad.index, id.gamepadId)
+    if (slot === -1) {
+      GamepadWatcher.announceMessage(
+        `Every slot is taken, so ${id.name} can't be shown. ` +
+        'Increase the number of gamepad slots to show it.',
+        'warn'
+      )
+      return -1
+    }
+    
+    const nickname = this.slotAssigner.getNickname(slot)
+    if (nickname) { id.nickname = nickname }
+    this.gamepads[slot] = GamepadWatcher.makeSnapshot(gamepad)
+    this.gamepadId[slot] = id
+    // report the whole state first, so unchanged values can be left out later
+    this._slotsToRefresh.add(slot)
+    GamepadWatcher.announceSlotConnection(gamepad, slot, true)
+    return slot
+  }
+  /**
+   * @param {number} sourceIndex `Gamepad.index` of the disconnected gamepad
+   * @returns {number} slot the gamepad was taking, -1 if it didn't have one
+   */
+  disconnectGamepad (sourceIndex) {
+    const slot = this.slotAssigner.vacate(sourceIndex)
+    if (slot === -1) { return -1 }
+    
+    const gamepad = this.gamepads[slot]
+    delete this.gamepads[slot]
+    delete this.gamepadId[slot]
+    GamepadWatcher.announceSlotConnection(gamepad, slot, false)
+    return slot
+  }
+  /**
+   * Give a nickname to the gamepad in the slot, or take it away with an empty one.
+   * Mappings can be overridden for the nickname.
+   * @param {number} slot
+   * @param {string} nickname
+   * @returns {boolean}
+   */
+  setNickname (slot, nickname) {
+    if (!this.slotAssigner.setNickname(slot, nickname)) { return false }
+    
+    const id = this.gamepadId[slot]
+    const newNickname = this.slotAssigner.getNickname(slot)
+    if (newNickname) {
+      id.nickname = newNickname
+      GamepadWatcher.announceMessage(`${id.name} in the slot ${slot + 1} is now called '${newNickname}'.`)
+    } else {
+      delete id.nickname
+      GamepadWatcher.announceMessage(`${id.name} in the slot ${slot + 1} doesn't have a nickname now.`)
+    }
+    return true
+  }
+  /**
+   * Exchange gamepads on two slots.
+   * Gamepads on them are announced as disconnected from the old slots,
+   * then as connected to the new slots.
+   * @param {number} slotA
+   * @param {number} slotB
+   * @returns {boolean}
+   */
+  swapSlots (slotA, slotB) {
+    if (!this.slotAssigner.swap(slotA, slotB)) { return false }
+    
+    const slots = [slotA, slotB]
+    slots.forEach(slot => {
+      if (!this.gamepads[slot]) { return }
+      GamepadWatcher.announceSlotConnection(this.gamepads[slot], slot, false)
+    })
+    
+    const gamepadA = this.gamepads[slotA]
+    const gamepadIdA = this.gamepadId[slotA]
+    this.gamepads[slotA] = this.gamepads[slotB]
+    this.gamepadId[slotA] = this.gamepadId[slotB]
+    this.gamepads[slotB] = gamepadA
+    this.gamepadId[slotB] = gamepadIdA
+    
+    slots.forEach(slot => {
+      if (!this.gamepads[slot]) {
+        delete this.gamepads[slot]
+        delete this.gamepadId[slot]
+        return
+      }
+      GamepadWatcher.announceSlotConnection(this.gamepads[slot], slot, true)
+      // make the loop send the whole state on the new slot
+      this._slotsToRefresh.add(slot)
+    })
+    
+    return true
+  }
+  
   /**
    * @param {GamepadEvent} event
    * @param {boolean} connection
@@ -158,12 +445,9 @@ class GamepadWatcher {
     const gamepad = event.gamepad
     
     if (connection) {
-      this.gamepads[gamepad.index] = gamepad
-      this.gamepadId[gamepad.index] =
-        MPCommon.getGamepadId(gamepad.id)
+      this.connectGamepad(gamepad)
     } else {
-      delete this.gamepads[gamepad.index]
-      delete this.gamepadId[gamepad.index]
+      this.disconnectGamepad(gamepad.index)
     }
     
     const connectionsFound = this.connectionAmount
@@ -183,18 +467,17 @@ class GamepadWatcher {
     }
   }
   manuallyUpdateConnection (gamepadsToCheck) {
-    // not like `this.gamepads`, this one always have 4 properties
-    const gamepads = gamepadsToCheck || navigator.getGamepads()
+    // not like `this.gamepads`, this one is ordered by `Gamepad.index`
+    const gamepads = gamepadsToCheck || this.getGamepads()
     // only add ones that actually exist to `this.gamepads`
     for (let i = 0; i < gamepads.length; i++) {
-      if (gamepads[i]) {
-        this.gamepads[gamepads[i].index] = gamepads[i]
-        this.gamepadId[gamepads[i].index] =
-          MPCommon.getGamepadId(gamepads[i].id)
-      }
-      else {
-        delete this.gamepads[gamepads[i].index]
-        delete this.gamepadId[gamepads[i].index]
+      const slot = this.slotAssigner.getSlot(i)
+      if (gamepads[i] && slot === -1) {
+        this.connectGamepad(gamepads[i])
+      } else if (gamepads[i]) {
+        this.gamepads[slot] = GamepadWatcher.makeSnapshot(gamepads[i])
+      } else if (slot !== -1) {
+        this.disconnectGamepad(i)
       }
     }
   }
@@ -206,43 +489,104 @@ class GamepadWatcher {
     if (!GamepadWatcher.hasEvents) {
       clearInterval(this.pollID)
     }
+    this.startSampling()
     this.loop()
   }
   stopLooping () {
     if (!this.onLoop) { return }
     
     this.onLoop = false
+    this.stopSampling()
     if (!GamepadWatcher.hasEvents) {
       this.pollID = setInterval(this.scanConnection, 1000)
     }
   }
   
+  /**
+   * Set how often to sample gamepads between frames.
+   * Browsers might not run the sampling as often as the given interval.
+   * @param {number} interval milliseconds, 0 to only sample once per frame
+   * @returns {boolean}
+   */
+  setSamplingInterval (interval) {
+    const newInterval = Number(interval)
+    if (
+      isNaN(newInterval) ||
+      newInterval < 0 ||
+      newInterval > GamepadWatcher.maxSamplingInterval
+    ) {
+      GamepadWatcher.announceMessage(new Error(
+        'Sampling interval should be a number between 0 and ' +
+        `${GamepadWatcher.maxSamplingInterval}.`
+      ))
+      return false
+    }
+    
+    this.samplingInterval = newInterval
+    this.stopSampling()
+    if (this.onLoop) { this.startSampling() }
+    return true
+  }
+  startSampling () {
+    if (!this.samplingInterval || this.samplingID) { return }
+    this.samplingID = setInterval(this.sample, this.samplingInterval)
+  }
+  stopSampling () {
+    clearInterval(this.samplingID)
+    this.samplingID = 0
+    this._sampledPeaks = {}
+    this._sampledAxisPeaks = {}
+  }
+  /**
+   * Check gamepads between frames and keep the highest value of each pressed button,
+   * and the value of each axis farthest from the last frame,
+   * so presses shorter than a frame can be reported by `loop`.
+   */
+  sample () {
+    const gamepads = this.getGamepads()
+    for (let i = 0; i < gamepads.length; i++) {
+      const gamepad = gamepads[i]
+      if (!gamepad) { continue }
+      const slot = this.slotAssigner.getSlot(gamepad.index)
+      if (slot === -1) { continue }
+      
+      const peaks = this._sampledPeaks[slot] || []
+      this._sampledPeaks[slot] = peaks
+      for (let b = 0; b < gamepad.buttons.length; b++) {
+        if (!gamepad.buttons[b].pressed) { continue }
+        peaks[b] = Math.max(peaks[b] || 0, gamepad.buttons[b].value)
+      }
+      
+      const lastState = this.gamepads[slot]
+      if (!lastState) { continue }
+      const axisPeaks = this._sampledAxisPeaks[slot] || []
+      this._sampledAxisPeaks[slot] = axisPeaks
+      for (let a = 0; a < gamepad.axes.length; a++) {
+        const distance = Math.abs(gamepad.axes[a] - lastState.axes[a])
+        if (
+          typeof axisPeaks[a] !== 'number' ||
+          distance > Math.abs(axisPeaks[a] - lastState.axes[a])
+        ) {
+          axisPeaks[a] = gamepad.axes[a]
+        }
+      }
+    }
+  }
+  
   /**
    *
    * @param {?DOMHighResTimeStamp} timestamp
    */
   loop (timestamp) {
-    /**
-     * true if the interval from the last frame was longer than 2 frame length
-     * @type {boolean}
-     */
-    const framesLost =
-      MPCommon.isIntervalBigEnough(timestamp, this._lastTimestamp)
-    if (framesLost) {
-      const approxFrames = Math.round(
-        (timestamp - this._lastTimestamp) / MPCommon.frameLength
-      )
-      GamepadWatcher.announceMessage(
-        `Frames delayed: ${approxFrames}`,
-        'warn'
-      )
-    }
+    MPCommon.announceFrameTiming(
+      'Gamepad Watcher', timestamp, this._lastTimestamp
+    )
     
     this._lastTimestamp = timestamp || null
     if (!this.onLoop) { return }
     
     // make copy of current states at the time the loop starts
-    const newStates = navigator.getGamepads()
+    const newStates = this.getGamepads()
   
     /**
      * If there was no changes for a gamepad (or it's not connected), the corresponding property will be set as null.
@@ -266,31 +610,84 @@ class GamepadWatcher {
        * At every tick this loop is running, I'll consider 'newStates'
        * as a 'current' connection state. */
       const newState = newStates[i]
-      if (!newState || !this.gamepads[newState.index]) { continue }
-      const index = newState.index
+      if (!newState) { continue }
+      const index = this.slotAssigner.getSlot(newState.index)
+      if (index === -1 || !this.gamepads[index]) { continue }
       const oldState = this.gamepads[index]
       
-      /*
-       * the `oldState` is a reference to a LIVE STATE of a gamepad in firefox...
+      // presses caught by sampling and values reported by the last frame
+      const peaks = this._sampledPeaks[index] || []
+      const tappedValues = this._tappedValues[index] || {}
+      delete this._sampledPeaks[index]
+      delete this._tappedValues[index]
+      const wasPressed = bi => tappedValues.hasOwnProperty(bi) ?
+        true : oldState.buttons[bi].pressed
+      /**
+       * true if a press started and ended between the last frame and this one
+       * @type {function(number): boolean}
        */
+      const isTapped = bi =>
+        peaks[bi] > 0 && !newState.buttons[bi].pressed && !wasPressed(bi)
+      const axisPeaks = this._sampledAxisPeaks[index] || []
+      const tappedAxisValues = this._tappedAxisValues[index] || {}
+      delete this._sampledAxisPeaks[index]
+      delete this._tappedAxisValues[index]
+      const lastAxisValue = ai => tappedAxisValues.hasOwnProperty(ai) ?
+        tappedAxisValues[ai] : oldState.axes[ai]
+      /**
+       * true if an axis was pushed and brought back between the last frame and this one
+       * @type {function(number): boolean}
+       */
+      const isAxisTapped = ai =>
+        typeof axisPeaks[ai] === 'number' &&
+        Math.abs(axisPeaks[ai] - lastAxisValue(ai)) >= GamepadWatcher.axisTapThreshold &&
+        Math.abs(axisPeaks[ai] - newState.axes[ai]) >= GamepadWatcher.axisTapThreshold
+      const hasTaps = Object.keys(tappedValues).length > 0 ||
+        peaks.some((peak, bi) => isTapped(bi)) ||
+        Object.keys(tappedAxisValues).length > 0 ||
+        axisPeaks.some((peak, ai) => isAxisTapped(ai))
+      const refreshing = this._slotsToRefresh.delete(index)
+      
       // check if the state is changed
-      if (newState.timestamp !== oldState.timestamp || this.browser === 'Firefox') {
+      if (
+        newState.timestamp !== oldState.timestamp ||
+        hasTaps ||
+        refreshing
+      ) {
         // add gamepadId into the change object
-        lastChanges[newState.index] = {
-          id: this.gamepadId[newState.index]
+        lastChanges[index] = {
+          id: this.gamepadId[index],
+          timestamp: newState.timestamp
         }
       } else {
-        lastChanges[newState.index] = null
+        lastChanges[index] = null
         continue
       }
-      const lastChange = lastChanges[newState.index]
+      const lastChange = lastChanges[index]
+      let changeFound = false
       
       // check axes
       const axisChanges = Array(newState.axes.length).fill(null)
       for (let ai = 0; ai < newState.axes.length; ai++) {
-        axisChanges[ai] = {
-          value: newState.axes[ai],
-          delta: newState.axes[ai] - oldState.axes[ai]
+        const oldValue = lastAxisValue(ai)
+        if (isAxisTapped(ai)) {
+          // report the push this frame, and the return on the next frame
+          axisChanges[ai] = {
+            value: axisPeaks[ai],
+            delta: axisPeaks[ai] - oldValue,
+            tapped: true
+          }
+          this._tappedAxisValues[index] = this._tappedAxisValues[index] || {}
+          this._tappedAxisValues[index][ai] = axisPeaks[ai]
+          changeFound = true
+          continue
+        }
+        if (newState.axes[ai] !== oldValue || refreshing) {
+          axisChanges[ai] = {
+            value: newState.axes[ai],
+            delta: newState.axes[ai] - oldValue
+          }
+          changeFound = true
         }
       }
       lastChange.axes = axisChanges
@@ -298,30 +695,38 @@ class GamepadWatcher {
       // check buttons
       const buttonChanges = Array(newState.buttons.length).fill(null)
       for (let bi = 0; bi < newState.buttons.length; bi++) {
-        /*
-         * the `oldState` is a reference to a LIVE STATE of a gamepad in firefox...
-         */
-        if (newState.buttons[bi].value !== oldState.buttons[bi].value || this.browser === 'Firefox') {
+        const oldValue = tappedValues.hasOwnProperty(bi) ?
+          tappedValues[bi] : oldState.buttons[bi].value
+        if (isTapped(bi)) {
+          // report the press this frame, and the release on the next frame
+          buttonChanges[bi] = {
+            pressed: true,
+            value: peaks[bi],
+            delta: peaks[bi] - oldValue,
+            tapped: true
+          }
+          this._tappedValues[index] = this._tappedValues[index] || {}
+          this._tappedValues[index][bi] = peaks[bi]
+          changeFound = true
+          continue
+        }
+        if (newState.buttons[bi].value !== oldValue || refreshing) {
           buttonChanges[bi] = {
             pressed: newState.buttons[bi].pressed,
             value: newState.buttons[bi].value,
-            delta: newState.buttons[bi].value - oldState.buttons[bi].value
+            delta: newState.buttons[bi].value - oldValue
           }
+          changeFound = true
         }
       }
       lastChange.buttons = buttonChanges
       
       // checking on the new state is done, update the stored old state with them
-      this.gamepads[index] = newState
+      this.gamepads[index] = GamepadWatcher.makeSnapshot(newState)
+      if (!changeFound) { lastChanges[index] = null }
     }
     
-    if (
-      Object.keys(lastChanges).length &&
-      lastChanges[0] ||
-      lastChanges[1] ||
-      lastChanges[2] ||
-      lastChanges[3]
-    ) {
+    if (Array.from(lastChanges).some(change => change)) {
       GamepadWatcher.announceGamepadChange(lastChanges)
     }
     
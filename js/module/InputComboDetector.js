@@ -0,0 +1,378 @@
+/**
+ * @typedef {string} logicalInputName
+ * @description
+ * A button on a mapping, as its group and its name joined with a dot,
+ * like `face.down`, `shoulder.l1`, or `dpad.up`.
+ */
+/**
+ * @typedef {Object} inputComboConfig
+ * @description
+ * A combo to detect. Either `chord` or `sequence` should be given.
+ *
+ * @property {string} name name given to the event when the combo is performed
+ * @property {logicalInputName[]} [chord] inputs to be held together
+ * @property {logicalInputName[]} [sequence] inputs to be pressed one after another
+ * @property {number} [maxInterval]
+ * milliseconds allowed between two presses of a sequence,
+ * {@link InputComboDetector.defaultMaxInterval} if not given
+ * @property {?string} [callout] text to show on the slot the combo is performed on
+ * @property {boolean} [enabled] false to keep the combo from being detected, true if not given
+ */
+/**
+ * @typedef {Object} sequenceProgress
+ * @property {number} step number of inputs of the sequence already pressed
+ * @property {number} time timestamp of the last press
+ */
+
+/**
+ * Detects chords and sequences of buttons from
+ * `{@link MappingManager#event:processedGamepadChange processedGamepadChange}` events,
+ * and fires an `inputCombo` event when one is performed.
+ *
+ * A chord is performed when its last input is pressed while the others are held,
+ * and it's not performed again until one of the inputs is released.
+ * Inputs not in a sequence don't break it,
+ * but pressing an input of the sequence in the wrong order starts it over.
+ *
+ * Slots in the middle of an assignment are ignored.
+ *
+ * Default combos are off until they're enabled,
+ * as the buttons are also pressed while playing.
+ * They're added to stored combos by their names, when ones added later are missing.
+ *
+ * @example
+ * const Combos = new InputComboDetector()
+ * window.addEventListener('inputCombo', e => {
+ *   if (e.detail.name === 'resetFadeout') { Renderer.resetFadeout(e.detail.slot) }
+ * })
+ *
+ * @class
+ * @listens MappingManager#processedGamepadChange
+ */
+class InputComboDetector {
+  /**
+   * @param {inputComboConfig[]} [combos] stored combos are used if not given
+   */
+  constructor (combos) {
+    /** @type {inputComboConfig[]} */
+    this.combos = combos || this.load()
+    /**
+     * held state of inputs for each slot
+     * @type {Object.<number, Object.<logicalInputName, boolean>>}
+     */
+    this.held = {}
+    /**
+     * names of chords performed and still held for each slot
+     * @type {Object.<number, Set<string>>}
+     */
+    this.heldChords = {}
+    /**
+     * progress of each sequence combo for each slot, in the order of `combos`
+     * @type {Object.<number, sequenceProgress[]>}
+     */
+    this.progress = {}
+    
+    this.detect = this.detect.bind(this)
+    this.import = this.import.bind(this)
+    window.addEventListener('processedGamepadChange', this.detect)
+    window.addEventListener('gamepadslotdisconnected', e => {
+      this.resetSlot(e.gamepad.index)
+    })
+  }
+  
+  static announceMessage = MPCommon.announceMessageFrom('Input Combo Detector')
+  static localStorageKey = 'inputCombos'
+  static defaultMaxInterval = 300
+  /**
+   * buttons available for combos in each group
+   * @type {Object.<string, string[]>}
+   */
+  static inputNames = {
+    dpad: ['up', 'down', 'left', 'right'],
+    face: [
+      'down', 'right', 'left', 'up', 'select', 'start', 'l3', 'r3', 'home', 'touchpad'
+    ],
+    shoulder: ['l1', 'r1', 'l2', 'r2'],
+    extra: [
+      'paddle1', 'paddle2', 'paddle3', 'paddle4', 'capture',
+      'fn1', 'fn2', 'turbo', 'extra1', 'extra2'
+    ]
+  }
+  /** @type {inputComboConfig[]} */
+  static defaultCombos = [
+    {
+      name: 'nextSkin',
+      chord: ['face.select', 'shoulder.r1'],
+      callout: null,
+      enabled: false
+    },
+    {
+      name: 'previousSkin',
+      chord: ['face.select', 'shoulder.l1'],
+      callout: null,
+      enabled: false
+    },
+    {
+      name: 'resetFadeout',
+      chord: ['face.select', 'face.start'],
+      callout: null,
+      enabled: false
+    },
+    {
+      name: 'nextMappingProfile',
+      chord: ['face.select', 'shoulder.r2'],
+      callout: null,
+      enabled: false
+    },
+    {
+      name: 'previousMappingProfile',
+      chord: ['face.select', 'shoulder.l2'],
+      callout: null,
+      enabled: false
+    }
+  ]
+  
+  /**
+   * Dispatch an event of 'inputCombo' type.
+   * @param {string} name
+   * @param {number} slot
+   * @param {?gamepadId} gamepadId
+   * @param {?string} callout
+   * @fires InputComboDetector#inputCombo
+   */
+  static announceCombo (name, slot, gamepadId, callout) {
+    /**
+     * @event InputComboDetector#inputCombo
+     * @type {Object}
+     * @property {string} detail.name
+     * @property {number} detail.slot
+     * @property {?gamepadId} detail.gamepadId
+     * @property {?string} detail.callout
+     */
+    window.dispatchEvent(new CustomEvent('inputCombo', {
+      detail: {
+        name: name,
+        slot: slot,
+        gamepadId: gamepadId,
+        callout: callout || null
+      }
+    }))
+  }
+  /**
+   * @param {*} inputName
+   * @returns {boolean}
+   */
+  static isInputNameValid (inputName) {
+    if (typeof inputName !== 'string') { return false }
+    const [group, button] = inputName.split('.')
+    return Boolean(
+      InputComboDetector.inputNames[group] &&
+      InputComboDetector.inputNames[group].indexOf(button) !== -1
+    )
+  }
+  /**
+   * @param {*} combo
+   * @returns {boolean}
+   */
+  static isComboValid (combo) {
+    if (
+      !combo || combo.constructor !== Object ||
+      typeof combo.name !== 'string' || !combo.name.length
+    ) { return false }
+    const inputs = combo.chord || combo.sequence
+    return Boolean(
+      !(combo.chord && combo.sequence) &&
+      Array.isArray(inputs) && inputs.length > 0 &&
+      inputs.every(InputComboDetector.isInputNameValid) &&
+      (
+        typeof combo.maxInterval === 'undefined' ||
+        (typeof combo.maxInterval === 'number' && combo.maxInterval > 0)
+      ) &&
+      (
+        typeof combo.callout === 'undefined' || combo.callout === null ||
+        typeof combo.callout === 'string'
+      ) &&
+      (typeof combo.enabled === 'undefined' || typeof combo.enabled === 'boolean')
+    )
+  }
+  
+  /**
+   * @param {number} slot
+   */
+  resetSlot (slot) {
+    delete this.held[slot]
+    delete this.heldChords[slot]
+    delete this.progress[slot]
+  }
+  
+  /**
+   * @param {MappingManager#event:processedGamepadChange} e
+   * @listens MappingManager#processedGamepadChange
+   */
+  detect (e) {
+    const changes = e.detail
+    for (let slot = 0; slot < changes.length; slot++) {
+      const change = changes[slot]
+      if (!change) { continue }
+      if (
+        !change.properties ||
+        change.properties.indexOf('assigning') !== -1 ||
+        change.properties.indexOf('vacated') !== -1
+      ) {
+        this.resetSlot(slot)
+        continue
+      }
+      this.detectInSlot(slot, change)
+    }
+  }
+  /**
+   * @param {number} slot
+   * @param {ProcessedGamepadChange} change
+   */
+  detectInSlot (slot, change) {
+    const held = this.held[slot] || (this.held[slot] = {})
+    const heldChords = this.heldChords[slot] ||
+      (this.heldChords[slot] = new Set())
+    const progress = this.progress[slot] ||
+      (this.progress[slot] = this.combos.map(() => ({ step: 0, time: 0 })))
+    const timestamp = typeof change.timestamp === 'number' ?
+      change.timestamp : performance.now()
+    const gamepadId = change.id ? change.id.gamepadId : null
+    
+    /** @type {logicalInputName[]} */
+    const pressedInputs = []
+    for (const group in InputComboDetector.inputNames) {
+      if (!change.buttons || !change.buttons[group]) { continue }
+      const buttonNames = InputComboDetector.inputNames[group]
+      for (let b = 0; b < buttonNames.length; b++) {
+        const buttonChange = change.buttons[group][buttonNames[b]]
+        if (!buttonChange) { continue }
+        const inputName = `${group}.${buttonNames[b]}`
+        // dpad made from an axis doesn't have `pressed`
+        const pressed = typeof buttonChange.pressed === 'boolean' ?
+          buttonChange.pressed : buttonChange.value > 0
+        if (pressed && !held[inputName]) {
+          pressedInputs.push(inputName)
+        }
+        held[inputName] = pressed
+      }
+    }
+    
+    // forget chords with any input released
+    for (let c = 0; c < this.combos.length; c++) {
+      const combo = this.combos[c]
+      if (!combo.chord || !heldChords.has(combo.name)) { continue }
+      if (!combo.chord.every(inputName => held[inputName])) {
+        heldChords.delete(combo.name)
+      }
+    }
+    if (!pressedInputs.length) { return }
+    
+    for (let c = 0; c < this.combos.length; c++) {
+      const combo = this.combos[c]
+      if (combo.enabled === false) { continue }
+      if (combo.chord) {
+        if (
+          heldChords.has(combo.name) ||
+          !combo.chord.some(inputName => pressedInputs.indexOf(inputName) !== -1) ||
+          !combo.chord.every(inputName => held[inputName])
+        ) { continue }
+        heldChords.add(combo.name)
+        InputComboDetector.announceCombo(
+          combo.name, slot, gamepadId, combo.callout
+        )
+      } else if (combo.sequence) {
+        if (this.advanceSequence(combo, progress[c], pressedInputs, timestamp)) {
+          InputComboDetector.announceCombo(
+            combo.name, slot, gamepadId, combo.callout
+          )
+        }
+      }
+    }
+  }
+  /**
+   * @param {inputComboConfig} combo
+   * @param {sequenceProgress} progress
+   * @param {logicalInputName[]} pressedInputs
+   * @param {number} timestamp
+   * @returns {boolean} true if the sequence is completed
+   */
+  advanceSequence (combo, progress, pressedInputs, timestamp) {
+    const sequence = combo.sequence
+    const maxInterval = combo.maxInterval || InputComboDetector.defaultMaxInterval
+    
+    for (let p = 0; p < pressedInputs.length; p++) {
+      const inputName = pressedInputs[p]
+      if (sequence.indexOf(inputName) === -1) { continue }
+      
+      if (progress.step > 0 && timestamp - progress.time > maxInterval) {
+        progress.step = 0
+      }
+      if (inputName === sequence[progress.step]) {
+        progress.step++
+      } else {
+        // start over, possibly with this input as the first one
+        progress.step = inputName === sequence[0] ? 1 : 0
+      }
+      progress.time = timestamp
+      
+      if (progress.step === sequence.length) {
+        progress.step = 0
+        return true
+      }
+    }
+    return false
+  }
+  
+  save () {
+    window.localStorage.setItem(
+      InputComboDetector.localStorageKey, JSON.stringify(this.combos)
+    )
+  }
+  /**
+   * @returns {inputComboConfig[]} stored combos with default ones missing in them
+   */
+  load () {
+    const combos = JSON.parse(
+      window.localStorage.getItem(InputComboDetector.localStorageKey)
+    )
+    const defaultCombos = JSON.parse(JSON.stringify(InputComboDetector.defaultCombos))
+    if (!Array.isArray(combos) || !combos.every(InputComboDetector.isComboValid)) {
+      return defaultCombos
+    }
+    return combos.concat(defaultCombos.filter(
+      defaultCombo => !combos.some(combo => combo.name === defaultCombo.name)
+    ))
+  }
+  /**
+   * Replace combos with the given ones and save them.
+   * @param {inputComboConfig[]} combos
+   * @returns {boolean}
+   */
+  import (combos) {
+    if (!Array.isArray(combos)) {
+      InputComboDetector.announceMessage(new Error(
+        'Combos should be given as an array.'
+      ))
+      return false
+    }
+    const invalidCombos = combos.filter(
+      combo => !InputComboDetector.isComboValid(combo)
+    )
+    if (invalidCombos.length) {
+      InputComboDetector.announceMessage(new Error(
+        'Some of the given combos are not valid.\n' +
+        JSON.stringify(invalidCombos, null, 2)
+      ))
+      return false
+    }
+    
+    this.combos = combos
+    this.held = {}
+    this.heldChords = {}
+    this.progress = {}
+    this.save()
+    InputComboDetector.announceMessage(`Loaded ${combos.length} combos.`)
+    return true
+  }
+}
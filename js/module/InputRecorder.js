@@ -0,0 +1,299 @@
+/**
+ * @typedef {Object} InputSession
+ * @description
+ * Gamepad changes recorded from `gamepadChange` events,
+ * in a form that can be saved as a file and played back later.
+ *
+ * @property {number} version format version of the session data
+ * @property {string} recordedAt ISO date string of the moment the recording started
+ * @property {number} duration length of the session in milliseconds
+ * @property {InputSessionFrame[]} frames
+ */
+/**
+ * @typedef {Object} InputSessionFrame
+ * @description changes of a single `gamepadChange` event
+ *
+ * @property {number} time milliseconds passed since the recording started
+ * @property {Array<?GamepadChange>} changes
+ * `detail` of the event as an array. Each GamepadChange keeps its `id`,
+ * so the gamepadId of every recorded gamepad stays in the session.
+ */
+
+/**
+ * Records every `{@link GamepadWatcher#event:gamepadChange gamepadChange}`
+ * event into an {@link InputSession}, and plays a session back
+ * by feeding its changes to `MappingManager.processGamepadChange`,
+ * so the rest of the pipeline handles them as if they were made live.
+ *
+ * Live changes are kept from the mapping manager during playback,
+ * so they don't mix with played back ones in the same slots and frames.
+ * Inputs held through the playback are shown again once they change.
+ *
+ * @see InputSession
+ *
+ * @class
+ */
+class InputRecorder {
+  /**
+   * @param {MappingManager} mappingManager instance the played back changes are given to
+   * @param {function(string)} [statusCallback] called with a text describing the current state
+   */
+  constructor (mappingManager, statusCallback) {
+    this.mapper = mappingManager
+    this.updateStatus = statusCallback || (() => false)
+    
+    this.recording = false
+    this.playing = false
+    /** @type {?InputSession} */
+    this.session = null
+    
+    /** @type {?DOMHighResTimeStamp} */
+    this._recordingStartedAt = null
+    /** @type {?DOMHighResTimeStamp} */
+    this._playbackStartedAt = null
+    this._playbackFrameIndex = 0
+    
+    this.record = this.record.bind(this)
+    this.playbackLoop = this.playbackLoop.bind(this)
+  }
+  
+  static announceMessage = MPCommon.announceMessageFrom('Input Recorder')
+  
+  /**
+   * format version of sessions made by this class
+   * @type {number}
+   */
+  static sessionVersion = 1
+  /**
+   * extension of session files made by {@link InputRecorder#download}
+   * @type {string}
+   */
+  static fileExtension = '.mpsession.json'
+  
+  /**
+   * Check if the given object can be played as an {@link InputSession}.
+   * Sessions recorded with more slots than the current ones can't be played.
+   * @param {*} session
+   * @returns {boolean}
+   */
+  static isSessionValid (session) {
+    return Boolean(
+      session &&
+      session.constructor === Object &&
+      typeof session.version === 'number' &&
+      session.version <= InputRecorder.sessionVersion &&
+      Array.isArray(session.frames) &&
+      session.frames.every(frame =>
+        frame &&
+        typeof frame.time === 'number' &&
+        Array.isArray(frame.changes) &&
+        frame.changes.length <= MPCommon.maxGamepads &&
+        frame.changes.every(change =>
+          change === null || (
+            change.constructor === Object &&
+            change.id && typeof change.id.gamepadId === 'string' &&
+            Array.isArray(change.axes) &&
+            Array.isArray(change.buttons)
+          )
+        )
+      )
+    )
+  }
+  
+  get frameAmount () {
+    return this.session ? this.session.frames.length : 0
+  }
+  
+  startRecording () {
+    if (this.recording) { return false }
+    if (this.playing) { this.stopPlayback() }
+    
+    this.session = {
+      version: InputRecorder.sessionVersion,
+      recordedAt: new Date().toISOString(),
+      duration: 0,
+      frames: []
+    }
+    this._recordingStartedAt = performance.now()
+    this.recording = true
+    window.addEventListener('gamepadChange', this.record)
+    
+    InputRecorder.announceMessage('Started recording gamepad inputs.')
+    this.updateStatus('Recording...')
+    return true
+  }
+  stopRecording () {
+    if (!this.recording) { return false }
+    
+    window.removeEventListener('gamepadChange', this.record)
+    this.recording = false
+    this.session.duration = performance.now() - this._recordingStartedAt
+    this._recordingStartedAt = null
+    
+    InputRecorder.announceMessage(
+      `Recorded ${this.frameAmount} frames of gamepad inputs.`
+    )
+    this.updateStatus(this.describeSession())
+    return true
+  }
+  
+  /**
+   * Store changes of the event in the session.
+   * The event detail is copied, so later changes on the objects
+   * made by other listeners won't affect the recorded data.
+   *
+   * @param {GamepadWatcher#event:gamepadChange} e
+   * @listens GamepadWatcher#event:gamepadChange
+   */
+  record (e) {
+    if (!this.recording) { return }
+    
+    this.session.frames.push({
+      time: performance.now() - this._recordingStartedAt,
+      changes: JSON.parse(JSON.stringify(Array.from(e.detail)))
+    })
+  }
+  
+  /**
+   * @returns {string} short summary of the loaded session
+   */
+  describeSession () {
+    if (!this.session) { return 'No session is loaded.' }
+    const seconds = (this.session.duration / 1000).toFixed(1)
+    return `${this.frameAmount} frames, ${seconds}s`
+  }
+  
+  /**
+   * Replace the current session with the given one.
+   * @param {InputSession} session
+   * @returns {boolean}
+   */
+  loadSession (session) {
+    if (!InputRecorder.isSessionValid(session)) {
+      InputRecorder.announceMessage(new Error(
+        'The given data is not a valid input session.'
+      ))
+      return false
+    }
+    if (this.recording) { this.stopRecording() }
+    if (this.playing) { this.stopPlayback() }
+    
+    this.session = session
+    if (typeof this.session.duration !== 'number') {
+      const lastFrame = this.session.frames[this.session.frames.length - 1]
+      this.session.duration = lastFrame ? lastFrame.time : 0
+    }
+    
+    InputRecorder.announceMessage(
+      `Loaded an input session with ${this.frameAmount} frames.`
+    )
+    this.updateStatus(this.describeSession())
+    return true
+  }
+  /**
+   * Read a session file and load it.
+   * @param {File} file
+   * @returns {Promise<boolean>}
+   */
+  loadFromFile (file) {
+    return file.text().then(
+      text => this.loadSession(JSON.parse(text))
+    ).catch(e => {
+      InputRecorder.announceMessage(e)
+      return false
+    })
+  }
+  /**
+   * Save the current session as a file.
+   * @param {string} [fileName] name of the file without the extension
+   * @returns {boolean}
+   */
+  download (fileName) {
+    if (!this.session || this.recording) { return false }
+    
+    const name = fileName ||
+      'session-' + this.session.recordedAt.replace(/[:.]/g, '-')
+    const blob = new Blob(
+      [JSON.stringify(this.session)], { type: 'application/json' }
+    )
+    const url = URL.createObjectURL(blob)
+    const anchor = document.createElement('a')
+    anchor.href = url
+    anchor.download = name + InputRecorder.fileExtension
+    document.body.appendChild(anchor)
+    anchor.click()
+    document.body.removeChild(anchor)
+    URL.revokeObjectURL(url)
+    
+    return true
+  }
+  
+  startPlayback () {
+    if (!this.frameAmount || this.playing) { return false }
+    if (this.recording) { this.stopRecording() }
+    
+    this.playing = true
+    this._playbackStartedAt = null
+    this._playbackFrameIndex = 0
+    window.removeEventListener('gamepadChange', this.mapper.processGamepadChange)
+    
+    InputRecorder.announceMessage('Started playing back the input session.')
+    this.updateStatus('Playing...')
+    window.requestAnimationFrame(this.playbackLoop)
+    return true
+  }
+  stopPlayback () {
+    if (!this.playing) { return false }
+    
+    this.playing = false
+    this._playbackStartedAt = null
+    window.addEventListener('gamepadChange', this.mapper.processGamepadChange)
+    
+    InputRecorder.announceMessage('Stopped playing back the input session.')
+    this.updateStatus(this.describeSession())
+    return true
+  }
+  
+  /**
+   * Give the next recorded frame to the mapping manager
+   * once its time has come.
+   *
+   * Only one recorded frame is given on each animation frame,
+   * as the renderer draws the last changes it received in a frame.
+   * If the playback falls behind, it catches up on the following frames
+   * instead of dropping any changes.
+   *
+   * @param {DOMHighResTimeStamp} timestamp
+   */
+  playbackLoop (timestamp) {
+    if (!this.playing) { return }
+    if (this._playbackStartedAt === null) {
+      this._playbackStartedAt = timestamp
+    }
+    
+    const elapsed = timestamp - this._playbackStartedAt
+    const frame = this.session.frames[this._playbackFrameIndex]
+    let frameHandled = false
+    try {
+      if (frame.time <= elapsed) {
+        // recorded timestamps are from the past, mark them as made now
+        const now = performance.now()
+        const changes = frame.changes.map(change =>
+          change ? Object.assign({}, change, { timestamp: now }) : change
+        )
+        this.mapper.processGamepadChange({
+          detail: Object.assign({ length: changes.length }, changes)
+        })
+        this._playbackFrameIndex++
+      }
+      frameHandled = true
+    } finally {
+      // live inputs are given back even if the frame couldn't be played
+      if (!frameHandled || this._playbackFrameIndex >= this.frameAmount) {
+        this.stopPlayback()
+      } else {
+        window.requestAnimationFrame(this.playbackLoop)
+      }
+    }
+  }
+}
@@ -0,0 +1,474 @@
+/**
+ * @typedef {Object} keyboardLayout
+ * @description
+ * A way to place inputs on the keyboard, shown as a device of its own.
+ *
+ * @property {string} name display name of the layout
+ * @property {skinInternalName} skin skin used for the layout by default
+ * @property {Object.<string, number>} keys
+ * index of the button pressed while the key is held.
+ * Keys are `KeyboardEvent.code` values.
+ */
+
+/**
+ * An {@link InputSource} that provides the keyboard and the mouse as a gamepad.
+ *
+ * Each key in the layout is a button, and mouse buttons follow them.
+ * Mouse movement is given as two axes,
+ * which go back to 0 when the mouse stops moving.
+ *
+ * The gamepadId is made from the layout, like `keyboard-wasd`,
+ * and it's mapped with a mapping made for the layout,
+ * which can be changed like that of any other gamepad.
+ *
+ * @example
+ * const KeyboardMouse = new KeyboardMouseDevice()
+ * Watcher.addInputSource(KeyboardMouse)
+ * Mapper.addDefaultMapping(KeyboardMouse.gamepadId, KeyboardMouse.getDefaultMapping())
+ * KeyboardMouse.connect()
+ *
+ * @class
+ */
+class KeyboardMouseDevice {
+  /**
+   * @param {string} [layout] name of one of {@link KeyboardMouseDevice.layouts}
+   * @param {number} [index] `Gamepad.index` of the device.
+   * An index browsers don't use is given if it's not set.
+   */
+  constructor (layout, index) {
+    const settings = this.loadSettings()
+    /** @type {string} */
+    this.layout = KeyboardMouseDevice.layouts[layout] ?
+      layout : settings.layout
+    /**
+     * keys set by the user, used instead of the keys of the layout
+     * @type {?Object.<string, number>}
+     */
+    this.customKeys = settings.customKeys
+    
+    /** @type {Gamepad} */
+    this.state = {
+      id: this.makeId(),
+      index: typeof index === 'number' ? index : KeyboardMouseDevice.index,
+      connected: false,
+      mapping: '',
+      timestamp: performance.now(),
+      axes: Array(KeyboardMouseDevice.axisAmount).fill(0),
+      buttons: Array(KeyboardMouseDevice.buttonAmount).fill().map(() => ({
+        pressed: false, touched: false, value: 0
+      }))
+    }
+    /** @type {?DOMHighResTimeStamp} */
+    this._lastMouseMove = null
+    
+    this.handleKeyboard = this.handleKeyboard.bind(this)
+    this.handleMouseButton = this.handleMouseButton.bind(this)
+    this.handleMouseMove = this.handleMouseMove.bind(this)
+    this.releaseAll = this.releaseAll.bind(this)
+    this.importKeys = this.importKeys.bind(this)
+  }
+  
+  static announceMessage = MPCommon.announceMessageFrom('Keyboard and Mouse')
+  static localStorageKey = 'keyboardMouse'
+  
+  /**
+   * `Gamepad.index` used by default, out of the range browsers use.
+   * @type {number}
+   */
+  static index = MPCommon.maxSlotAmount
+  /**
+   * number of buttons made from keys
+   * @type {number}
+   */
+  static keyButtonAmount = 18
+  /**
+   * indexes of buttons for each `MouseEvent.button` value,
+   * placed after buttons made from keys
+   * @type {Object.<number, number>}
+   */
+  static mouseButtons = {
+    0: 18, // main
+    2: 19, // secondary
+    1: 20 // auxiliary
+  }
+  static buttonAmount = 21
+  static axisAmount = 2
+  /**
+   * pixels of mouse movement in an event to be seen as a fully tilted axis
+   * @type {number}
+   */
+  static mouseRange = 20
+  /**
+   * milliseconds without movement before the mouse axes go back to 0
+   * @type {number}
+   */
+  static mouseIdleTime = 50
+  /**
+   * elements the mouse is used on without being seen as the device,
+   * like the control panel and editors opened from it
+   * @type {string}
+   */
+  static ignoredElementSelector = '.control-panel'
+  
+  /**
+   * Action keys are the same on every layout, in two rows like arcade buttons.
+   * Buttons follow the order of the standard gamepad,
+   * with the touchpad added after the home button.
+   * @type {Object.<string, keyboardLayout>}
+   */
+  static layouts = {
+    wasd: {
+      name: 'WASD',
+      skin: 'hbox-wasd',
+      keys: {
+        KeyJ: 0, KeyK: 1, KeyU: 2, KeyI: 3,
+        KeyP: 4, KeyO: 5, Semicolon: 6, KeyL: 7,
+        Backspace: 8, Enter: 9,
+        KeyW: 12, KeyS: 13, KeyA: 14, KeyD: 15,
+        Escape: 16, Tab: 17
+      }
+    },
+    leverless: {
+      name: 'Leverless',
+      skin: 'hbox-leverless',
+      keys: {
+        KeyJ: 0, KeyK: 1, KeyU: 2, KeyI: 3,
+        KeyP: 4, KeyO: 5, Semicolon: 6, KeyL: 7,
+        Backspace: 8, Enter: 9,
+        Space: 12, KeyS: 13, KeyA: 14, KeyD: 15,
+        Escape: 16, Tab: 17
+      }
+    }
+  }
+  static defaultLayout = 'wasd'
+  
+  /**
+   * Check if the given object can be used as keys of a layout.
+   * @param {*} keys
+   * @returns {boolean}
+   */
+  static isKeysValid (keys) {
+    return Boolean(
+      keys &&
+      keys.constructor === Object &&
+      Object.values(keys).every(b =>
+        Number.isInteger(b) && b >= 0 && b < KeyboardMouseDevice.keyButtonAmount
+      )
+    )
+  }
+  
+  /**
+   * @param {MouseEvent} e
+   * @returns {boolean} true if the event is made on the control panel or an editor
+   */
+  static isOnIgnoredElement (e) {
+    return Boolean(
+      e.target && e.target.closest &&
+      e.target.closest(KeyboardMouseDevice.ignoredElementSelector)
+    )
+  }
+  
+  get index () {
+    return this.state.index
+  }
+  get connected () {
+    return this.state.connected
+  }
+  /** @type {gamepadId} */
+  get gamepadId () {
+    return `keyboard-${this.layout}`
+  }
+  /** @type {Object.<string, number>} */
+  get keys () {
+    return this.customKeys || KeyboardMouseDevice.layouts[this.layout].keys
+  }
+  
+  /** @type {string} */
+  get name () {
+    return `Keyboard and Mouse (${KeyboardMouseDevice.layouts[this.layout].name})`
+  }
+  
+  /**
+   * @returns {string} `Gamepad.id` understood by `MPCommon.getGamepadId`
+   */
+  makeId () {
+    return `${this.name} (Mini Padder: ${this.gamepadId})`
+  }
+  
+  /**
+   * Make a mapping for the layout, which shows the keys on the overlay
+   * the way they are placed on the keyboard.
+   * Mouse buttons are the stick buttons,
+   * and the mouse movement is the right stick.
+   * @returns {Object}
+   */
+  getDefaultMapping () {
+    const mouseButtons = KeyboardMouseDevice.mouseButtons
+    return {
+      name: this.name,
+      properties: [],
+      sticks: {
+        left: null,
+        right: {
+          x: 0, y: 1, button: mouseButtons[1],
+          deadzone: 0.1
+        }
+      },
+      buttons: {
+        dpad: {
+          up: 12, down: 13, left: 14, right: 15
+        },
+        face: {
+          down: 0, right: 1, left: 2, up: 3,
+          select: 8, start: 9, l3: mouseButtons[0], r3: mouseButtons[2],
+          home: 16, touchpad: 17
+        },
+        shoulder: {
+          l1: 4, r1: 5, l2: 6, r2: 7
+        }
+      }
+    }
+  }
+  /**
+   * @returns {skinInternalName}
+   */
+  getDefaultSkin () {
+    return KeyboardMouseDevice.layouts[this.layout].skin
+  }
+  
+  /**
+   * Make a copy of the current state,
+   * so the watcher can compare it with the previous one.
+   * @returns {Gamepad}
+   */
+  getState () {
+    return Object.assign({}, this.state, {
+      axes: this.state.axes.slice(),
+      buttons: this.state.buttons.map(b => Object.assign({}, b))
+    })
+  }
+  /**
+   * @returns {Array<?Gamepad>}
+   * @see InputSource
+   */
+  getGamepads () {
+    if (!this.state.connected) { return [] }
+    this.settleMouse()
+    return [this.getState()]
+  }
+  
+  /**
+   * Dispatch a connection event the same way the browser does.
+   * @param {boolean} connection
+   * @fires event:gamepadconnected
+   * @fires event:gamepaddisconnected
+   */
+  announceConnection (connection) {
+    const event = new Event(
+      connection ? 'gamepadconnected' : 'gamepaddisconnected'
+    )
+    event.gamepad = this.getState()
+    window.dispatchEvent(event)
+  }
+  connect () {
+    if (this.state.connected) { return false }
+    if (navigator.getGamepads()[this.state.index]) {
+      KeyboardMouseDevice.announceMessage(new Error(
+        `A gamepad is already connected with the index ${this.state.index}.`
+      ))
+      return false
+    }
+    
+    window.addEventListener('keydown', this.handleKeyboard)
+    window.addEventListener('keyup', this.handleKeyboard)
+    window.addEventListener('mousedown', this.handleMouseButton)
+    window.addEventListener('mouseup', this.handleMouseButton)
+    window.addEventListener('mousemove', this.handleMouseMove)
+    window.addEventListener('blur', this.releaseAll)
+    
+    this.state.connected = true
+    this.state.timestamp = performance.now()
+    this.announceConnection(true)
+    return true
+  }
+  disconnect () {
+    if (!this.state.connected) { return false }
+    
+    window.removeEventListener('keydown', this.handleKeyboard)
+    window.removeEventListener('keyup', this.handleKeyboard)
+    window.removeEventListener('mousedown', this.handleMouseButton)
+    window.removeEventListener('mouseup', this.handleMouseButton)
+    window.removeEventListener('mousemove', this.handleMouseMove)
+    window.removeEventListener('blur', this.releaseAll)
+    
+    this.releaseAll()
+    this.state.connected = false
+    this.announceConnection(false)
+    return true
+  }
+  
+  /**
+   * Change the layout. The device is reconnected with the new gamepadId
+   * if it's connected.
+   * @param {string} layout
+   * @returns {boolean}
+   */
+  setLayout (layout) {
+    if (!KeyboardMouseDevice.layouts[layout]) {
+      KeyboardMouseDevice.announceMessage(new Error(
+        `There's no keyboard layout named '${layout}'.`
+      ))
+      return false
+    }
+    if (layout === this.layout) { return true }
+    
+    const wasConnected = this.state.connected
+    if (wasConnected) { this.disconnect() }
+    this.layout = layout
+    this.customKeys = null
+    this.state.id = this.makeId()
+    this.saveSettings()
+    if (wasConnected) { this.connect() }
+    return true
+  }
+  
+  /**
+   * Change to the layout next to the current one.
+   * @returns {string} the new layout
+   */
+  cycleLayout () {
+    const layouts = Object.keys(KeyboardMouseDevice.layouts)
+    this.setLayout(
+      layouts[(layouts.indexOf(this.layout) + 1) % layouts.length]
+    )
+    return this.layout
+  }
+  
+  /**
+   * @param {number} index
+   * @param {boolean} pressed
+   */
+  setButton (index, pressed) {
+    const button = this.state.buttons[index]
+    if (!button || button.pressed === pressed) { return }
+    
+    button.pressed = pressed
+    button.touched = pressed
+    button.value = pressed ? 1 : 0
+    this.state.timestamp = performance.now()
+  }
+  /**
+   * @param {number} index
+   * @param {number} value
+   */
+  setAxis (index, value) {
+    const newValue = Math.min(Math.max(value, -1), 1)
+    if (this.state.axes[index] === newValue) { return }
+    
+    this.state.axes[index] = newValue
+    this.state.timestamp = performance.now()
+  }
+  releaseAll () {
+    for (let b = 0; b < this.state.buttons.length; b++) {
+      this.setButton(b, false)
+    }
+    for (let a = 0; a < this.state.axes.length; a++) {
+      this.setAxis(a, 0)
+    }
+    this._lastMouseMove = null
+  }
+  /**
+   * Put the mouse axes back to 0 if the mouse stopped moving.
+   */
+  settleMouse () {
+    if (
+      this._lastMouseMove === null ||
+      performance.now() - this._lastMouseMove < KeyboardMouseDevice.mouseIdleTime
+    ) { return }
+    
+    this._lastMouseMove = null
+    for (let a = 0; a < this.state.axes.length; a++) {
+      this.setAxis(a, 0)
+    }
+  }
+  
+  /**
+   * @param {KeyboardEvent} e
+   * @listens KeyboardEvent
+   */
+  handleKeyboard (e) {
+    if (e.repeat) { return }
+    // don't take keys typed into text fields
+    const tagName = e.target && e.target.tagName
+    if (tagName === 'INPUT' || tagName === 'TEXTAREA') { return }
+    
+    const buttonIndex = this.keys[e.code]
+    if (typeof buttonIndex !== 'number') { return }
+    this.setButton(buttonIndex, e.type === 'keydown')
+    e.preventDefault()
+  }
+  /**
+   * @param {MouseEvent} e
+   * @listens MouseEvent
+   */
+  handleMouseButton (e) {
+    const buttonIndex = KeyboardMouseDevice.mouseButtons[e.button]
+    if (typeof buttonIndex !== 'number') { return }
+    const pressed = e.type === 'mousedown'
+    // releases are always taken, so a press doesn't stay when released over the panel
+    if (pressed && KeyboardMouseDevice.isOnIgnoredElement(e)) { return }
+    this.setButton(buttonIndex, pressed)
+  }
+  /**
+   * @param {MouseEvent} e
+   * @listens MouseEvent
+   */
+  handleMouseMove (e) {
+    if (KeyboardMouseDevice.isOnIgnoredElement(e)) { return }
+    this.setAxis(0, e.movementX / KeyboardMouseDevice.mouseRange)
+    this.setAxis(1, e.movementY / KeyboardMouseDevice.mouseRange)
+    this._lastMouseMove = performance.now()
+  }
+  
+  saveSettings () {
+    window.localStorage.setItem(
+      KeyboardMouseDevice.localStorageKey, JSON.stringify({
+        layout: this.layout,
+        customKeys: this.customKeys
+      })
+    )
+  }
+  /**
+   * @returns {{layout: string, customKeys: ?Object.<string, number>}}
+   */
+  loadSettings () {
+    const settings = JSON.parse(
+      window.localStorage.getItem(KeyboardMouseDevice.localStorageKey)
+    ) || {}
+    return {
+      layout: KeyboardMouseDevice.layouts[settings.layout] ?
+        settings.layout : KeyboardMouseDevice.defaultLayout,
+      customKeys: KeyboardMouseDevice.isKeysValid(settings.customKeys) ?
+        settings.customKeys : null
+    }
+  }
+  /**
+   * Replace keys of the layout with the given ones and save them.
+   * Give an empty object to go back to the keys of the layout.
+   * @param {Object.<string, number>} keys
+   * @returns {boolean}
+   */
+  importKeys (keys) {
+    if (!KeyboardMouseDevice.isKeysValid(keys)) {
+      KeyboardMouseDevice.announceMessage(new Error(
+        'Given keys are not valid.'
+      ))
+      return false
+    }
+    this.releaseAll()
+    this.customKeys = Object.keys(keys).length ? keys : null
+    this.saveSettings()
+    KeyboardMouseDevice.announceMessage('Keys are updated.')
+    return true
+  }
+}
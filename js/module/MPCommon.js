@@ -15,25 +15,52 @@ class MPCommon {
    */
   static maxSquareDiffAllowedInFrame = ( 5 * MPCommon.frameLength ) ** 2
   
+  /**
+   * the number of gamepad slots used when nothing is set
+   * @type {number}
+   */
+  static defaultSlotAmount = 4
+  /**
+   * the largest number of gamepad slots that can be set
+   * @type {number}
+   */
+  static maxSlotAmount = 16
   /**
    * the last confirmed maximum number of gamepads available
    * @type {number}
    */
-  static maxGamepads = 4
+  static maxGamepads = MPCommon.loadSlotAmount()
   
   /**
-   * detects if it's Firefox or a Chromium-based one.
-   * @return {string}
+   * Get the number of gamepad slots saved in the local storage.
+   * If it's not saved, use the number of gamepads the browser reports,
+   * but never less than `MPCommon.defaultSlotAmount`.
+   * @returns {number}
    */
-  static detectBrowser () {
-    if (navigator.userAgentData) {
-      if (navigator.userAgentData.brands.some(b => b.brand === 'Chromium')) {
-        return 'Chromium'
-      }
-    } else { // might be deprecated starting in Chrome 101
-      if (/Chrome\/\d+/.test(navigator.userAgent)) { return 'Chromium' }
+  static loadSlotAmount () {
+    const savedAmount = parseInt(window.localStorage.getItem('slotAmount'))
+    if (savedAmount > 0) {
+      return Math.min(savedAmount, MPCommon.maxSlotAmount)
+    }
+    const reportedAmount = navigator.getGamepads ?
+      navigator.getGamepads().length : 0
+    return Math.min(
+      Math.max(reportedAmount, MPCommon.defaultSlotAmount),
+      MPCommon.maxSlotAmount
+    )
+  }
+  /**
+   * Save the number of gamepad slots to use from the next page load.
+   * @param {number} amount
+   * @returns {boolean}
+   */
+  static saveSlotAmount (amount) {
+    const slotAmount = parseInt(amount)
+    if (!(slotAmount > 0) || slotAmount > MPCommon.maxSlotAmount) {
+      return false
     }
-    if (typeof InstallTrigger !== 'undefined') { return 'Firefox' }
+    window.localStorage.setItem('slotAmount', slotAmount.toString())
+    return true
   }
   
   /**
@@ -101,11 +128,51 @@ class MPCommon {
     return squareDiff > MPCommon.maxSquareDiffAllowedInFrame
   }
   
+  /**
+   * Dispatch a `frameTiming` event with the interval between two frames of a loop.
+   * Nothing is dispatched if either of the timestamps is missing.
+   *
+   * @param {string} from name of the loop
+   * @param {?DOMHighResTimeStamp} currentTimestamp
+   * @param {?DOMHighResTimeStamp} pastTimestamp
+   * @param {Object} [extra]
+   * @param {number[]} [extra.latencies]
+   * milliseconds between the timestamp of each gamepad state and the moment it's drawn
+   * @param {number} [extra.changesDropped]
+   * number of changes replaced by newer ones before being used
+   * @fires MPCommon#frameTiming
+   */
+  static announceFrameTiming (
+    from, currentTimestamp, pastTimestamp,
+    { latencies, changesDropped } = {}
+  ) {
+    if (
+      typeof currentTimestamp !== 'number' ||
+      typeof pastTimestamp !== 'number'
+    ) { return }
+    
+    const interval = currentTimestamp - pastTimestamp
+    const framesLost =
+      MPCommon.isIntervalBigEnough(currentTimestamp, pastTimestamp) ?
+        Math.max(Math.round(interval / MPCommon.frameLength) - 1, 0) : 0
+    window.dispatchEvent(new CustomEvent('frameTiming', {
+      detail: {
+        from: from,
+        timestamp: currentTimestamp,
+        interval: interval,
+        framesLost: framesLost,
+        latencies: latencies || [],
+        changesDropped: changesDropped || 0
+      }
+    }))
+  }
+  
   /**
    * @typedef {string} gamepadId
    * @description
    * Vendor ID and Product ID of a gamepad concatenated into a 8-letter string, or
    * if the gamepad is a standard one, the value will be 'XInput' or 'DInput'.
+   * Devices made by Mini Padder have their own, like `keyboard-wasd`.
    */
   /**
    * Extract human readable description and gamepadId from `Gamepad.id`.
@@ -113,6 +180,14 @@ class MPCommon {
    * @returns {{name: string, gamepadId: gamepadId}}
    */
   static getGamepadId (idString) {
+    // devices made by Mini Padder carry their own gamepadId
+    const deviceMatchResult = idString.match(/ \(Mini Padder: ([^)]+)\)$/)
+    if (deviceMatchResult) {
+      return {
+        name: idString.substring(0, deviceMatchResult.index).trim(),
+        gamepadId: deviceMatchResult[1]
+      }
+    }
     // only parse for either Chrome or Firefox environment at the moment
     const matchResult =
       idString.match(/ \(.*Vendor: ([0-9a-f]{4}) Product: ([0-9a-f]{4})\)/) ||
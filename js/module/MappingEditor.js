@@ -0,0 +1,923 @@
+/**
+ * @typedef {Object} mappingEditorEntry
+ * @description one logical input of a mapping, shown as a row of the editor.
+ *
+ * @property {string} label
+ * @property {string[]} path keys to follow from the mapping to reach the value
+ * @property {string} type 'axis', 'button', 'deadzone', or 'socd'
+ * @property {string} [stick] side of the stick a deadzone is for
+ * @property {boolean} [axisDpad]
+ * `true` if the row is shown only for a dpad conveyed by an axis,
+ * `false` if shown only for a dpad made of four buttons
+ * @property {boolean} [axisAllowed] `true` if the button can be conveyed by an axis
+ */
+
+/**
+ * Shows every logical input of a {@link gamepadMapping} with its index,
+ * and lets them be changed one by one while looking at the connected gamepad,
+ * instead of editing the whole mappings as JSON.
+ *
+ * Changes are made on a copy, and the copy replaces the mapping
+ * only when it's saved with no problems found.
+ * A gamepad without its own mapping gets a new one made from the mapping it was using.
+ * A gamepad using an override for its slot or nickname edits the override,
+ * which is saved with only the parts different from the mapping it overrides.
+ *
+ * @example
+ * const MapEditor = new MappingEditor(Mapper, Watcher)
+ * MapEditor.appendToParent(document.body, cpDom)
+ * MapEditor.open(0, 'Xbox 360 Controller', 'XInput')
+ *
+ * @class
+ */
+class MappingEditor {
+  /**
+   * @param {MappingManager} mappingManager
+   * @param {GamepadWatcher} gamepadWatcher
+   */
+  constructor (mappingManager, gamepadWatcher) {
+    this.manager = mappingManager
+    this.watcher = gamepadWatcher
+    
+    /**
+     * slot of the gamepad used for the live indicators and rebinding
+     * @type {number}
+     */
+    this.slot = -1
+    /** @type {?gamepadId} */
+    this.gamepadId = null
+    /**
+     * copy of the mapping being edited
+     * @type {?gamepadMapping}
+     */
+    this.mapping = null
+    /** @type {mappingEditorEntry[]} */
+    this.entries = []
+    /**
+     * rows of the table, in the order of `entries`
+     * @type {HTMLTableRowElement[]}
+     */
+    this.rows = []
+    /**
+     * the entry waiting for an input and the state of the gamepad when it started
+     * @type {?{entry: number, axes: number[], buttons: number[]}}
+     */
+    this.rebinding = null
+    this.loopID = 0
+    this.notifyTimerID = 0
+    
+    this.loop = this.loop.bind(this)
+    this.open = this.open.bind(this)
+    this.handleChange = this.handleChange.bind(this)
+    this.handleClick = this.handleClick.bind(this)
+    this.makeDomStructure()
+  }
+  
+  static announceMessage = MPCommon.announceMessageFrom('Mapping Editor')
+  
+  /** @type {mappingEditorEntry[]} */
+  static get everyEntry () {
+    const entries = []
+    for (const side of ['left', 'right']) {
+      const Side = side.charAt(0).toUpperCase() + side.slice(1)
+      entries.push(
+        { label: `${Side} Stick X`, path: ['sticks', side, 'x'], type: 'axis' },
+        { label: `${Side} Stick Y`, path: ['sticks', side, 'y'], type: 'axis' },
+        { label: `${Side} Stick Button`, path: ['sticks', side, 'button'], type: 'button' },
+        {
+          label: `${Side} Stick Deadzone`, path: ['sticks', side, 'deadzone'],
+          type: 'deadzone', stick: side
+        }
+      )
+    }
+    entries.push({
+      label: 'Dpad Axis', path: ['buttons', 'dpad', 'axis'],
+      type: 'axis', axisDpad: true
+    })
+    for (const direction of ['up', 'down', 'left', 'right']) {
+      entries.push({
+        label: 'Dpad ' + direction.charAt(0).toUpperCase() + direction.slice(1),
+        path: ['buttons', 'dpad', direction],
+        type: 'button', axisDpad: false
+      })
+    }
+    entries.push({
+      label: 'Dpad SOCD', path: ['buttons', 'dpad', 'socd'],
+      type: 'socd', axisDpad: false
+    })
+    const buttonLabels = {
+      face: {
+        down: 'Face Down (A/×)', right: 'Face Right (B/○)',
+        left: 'Face Left (X/□)', up: 'Face Up (Y/Δ)',
+        select: 'Select', start: 'Start', l3: 'L3', r3: 'R3',
+        home: 'Home', touchpad: 'Touchpad'
+      },
+      shoulder: {
+        l1: 'L1 (LB)', r1: 'R1 (RB)', l2: 'L2 (LT)', r2: 'R2 (RT)'
+      },
+      extra: {
+        paddle1: 'Paddle 1', paddle2: 'Paddle 2',
+        paddle3: 'Paddle 3', paddle4: 'Paddle 4', capture: 'Capture',
+        fn1: 'Function 1', fn2: 'Function 2', turbo: 'Turbo',
+        extra1: 'Extra 1', extra2: 'Extra 2'
+      }
+    }
+    // triggers are axes on some gamepads
+    const axisAllowed = ['l2', 'r2']
+    for (const group in buttonLabels) {
+      for (const name in buttonLabels[group]) {
+        const entry = {
+          label: buttonLabels[group][name],
+          path: ['buttons', group, name],
+          type: 'button'
+        }
+        if (axisAllowed.indexOf(name) !== -1) { entry.axisAllowed = true }
+        entries.push(entry)
+      }
+    }
+    return entries
+  }
+  
+  /**
+   * @param {Object} mapping
+   * @param {string[]} path
+   * @returns {*} `undefined` if any object on the path doesn't exist
+   */
+  static getValue (mapping, path) {
+    let target = mapping
+    for (let p = 0; p < path.length; p++) {
+      if (!target) { return undefined }
+      target = target[path[p]]
+    }
+    return target
+  }
+  /**
+   * Put the value at the end of the path,
+   * making objects on the path if they don't exist.
+   * @param {Object} mapping
+   * @param {string[]} path
+   * @param {?number} value
+   */
+  static setValue (mapping, path, value) {
+    let target = mapping
+    for (let p = 0; p < path.length - 1; p++) {
+      if (!target[path[p]]) { target[path[p]] = {} }
+      target = target[path[p]]
+    }
+    target[path[path.length - 1]] = value
+  }
+  /**
+   * Tell which axis the entry reads, if it reads one.
+   * @param {gamepadMapping} mapping
+   * @param {mappingEditorEntry} entry
+   * @returns {?number}
+   */
+  static getAxisIndex (mapping, entry) {
+    const value = MappingEditor.getValue(mapping, entry.path)
+    if (entry.type === 'axis') {
+      return Number.isInteger(value) ? value : null
+    }
+    if (entry.axisAllowed && value && typeof value === 'object') {
+      return Number.isInteger(value.axis) ? value.axis : null
+    }
+    return null
+  }
+  /**
+   * Put the option guessed from an input on the axis,
+   * keeping the range the option had.
+   * @param {gamepadMapping} mapping
+   * @param {number} axisIndex
+   * @param {number} restValue
+   * @param {number} pushedValue
+   */
+  static detectAxisOption (mapping, axisIndex, restValue, pushedValue) {
+    const axisOption = Object.assign(
+      {}, mapping.axisOptions ? mapping.axisOptions[axisIndex] : null
+    )
+    delete axisOption.center
+    delete axisOption.invert
+    Object.assign(
+      axisOption, MappingManager.detectAxisOption(restValue, pushedValue)
+    )
+    MappingManager.setAxisOption(
+      mapping, axisIndex, Object.keys(axisOption).length ? axisOption : null
+    )
+  }
+  /**
+   * Tell which entries are shown for the mapping.
+   * @param {gamepadMapping} mapping
+   * @returns {mappingEditorEntry[]}
+   */
+  static getEntriesFor (mapping) {
+    const dpad = mapping.buttons ? mapping.buttons.dpad : null
+    const isAxisDpad = Boolean(dpad) && dpad.hasOwnProperty('axis')
+    return MappingEditor.everyEntry.filter(entry =>
+      typeof entry.axisDpad !== 'boolean' || entry.axisDpad === isAxisDpad
+    )
+  }
+  /**
+   * Find what would make the mapping not work as intended.
+   * @param {gamepadMapping} mapping
+   * @returns {string[]} a description of each problem, empty if there's none
+   */
+  static findProblems (mapping) {
+    const problems = []
+    if (typeof mapping.name !== 'string' || !mapping.name.trim().length) {
+      problems.push('The mapping needs a name.')
+    }
+    
+    /** @type {Object.<string, Object.<number, string[]>>} */
+    const usedIndexes = { axis: {}, button: {} }
+    const entries = MappingEditor.getEntriesFor(mapping)
+    for (let e = 0; e < entries.length; e++) {
+      const entry = entries[e]
+      const value = MappingEditor.getValue(mapping, entry.path)
+      if (value === null || typeof value === 'undefined') { continue }
+      
+      if (entry.type === 'deadzone') {
+        if (typeof value !== 'number' || !(value >= 0 && value < 1)) {
+          problems.push(`${entry.label} should be a number from 0 to below 1.`)
+        }
+        continue
+      }
+      if (entry.type === 'socd') {
+        if (!MappingManager.socdModes.hasOwnProperty(value)) {
+          problems.push(
+            `${entry.label} should be one of ` +
+            `${Object.keys(MappingManager.socdModes).join(', ')}.`
+          )
+        }
+        continue
+      }
+      const isAxisButton = entry.axisAllowed && typeof value === 'object'
+      const index = isAxisButton ? value.axis : value
+      if (!Number.isInteger(index) || index < 0) {
+        problems.push(`${entry.label} should be an index of 0 or above.`)
+        continue
+      }
+      // stick buttons are the same buttons as L3 and R3
+      if (entry.path[0] === 'sticks' && entry.type === 'button') { continue }
+      const type = isAxisButton ? 'axis' : entry.type
+      const labels = usedIndexes[type][index] ||
+        (usedIndexes[type][index] = [])
+      labels.push(entry.label)
+    }
+    problems.push(...MappingEditor.findAxisOptionProblems(mapping.axisOptions))
+    
+    for (const type in usedIndexes) {
+      for (const index in usedIndexes[type]) {
+        const labels = usedIndexes[type][index]
+        if (labels.length < 2) { continue }
+        problems.push(`${labels.join(', ')} share ${type} ${index}.`)
+      }
+    }
+    
+    return problems
+  }
+  /**
+   * @param {*} axisOptions
+   * @returns {string[]} a description of each problem, empty if there's none
+   */
+  static findAxisOptionProblems (axisOptions) {
+    if (typeof axisOptions === 'undefined') { return [] }
+    if (!axisOptions || axisOptions.constructor !== Object) {
+      return ['Axis options should be an object with indexes of axes as its keys.']
+    }
+    const problems = []
+    for (const axisIndex in axisOptions) {
+      const axisOption = axisOptions[axisIndex]
+      if (!/^\d+$/.test(axisIndex)) {
+        problems.push(`'${axisIndex}' of axis options is not an index of an axis.`)
+        continue
+      }
+      if (!axisOption || axisOption.constructor !== Object) {
+        problems.push(`Options for axis ${axisIndex} should be an object.`)
+        continue
+      }
+      if (
+        typeof axisOption.invert !== 'undefined' &&
+        typeof axisOption.invert !== 'boolean'
+      ) {
+        problems.push(`Invert of axis ${axisIndex} should be true or false.`)
+      }
+      const range = {}
+      for (const key of ['min', 'center', 'max']) {
+        if (typeof axisOption[key] === 'undefined') { continue }
+        if (typeof axisOption[key] !== 'number' || Math.abs(axisOption[key]) > 1) {
+          problems.push(`${key} of axis ${axisIndex} should be a number from -1 to 1.`)
+          continue
+        }
+        range[key] = axisOption[key]
+      }
+      const min = 'min' in range ? range.min : -1
+      const center = 'center' in range ? range.center : 0
+      const max = 'max' in range ? range.max : 1
+      if (!(min <= center && center <= max && min < max)) {
+        problems.push(
+          `Range of axis ${axisIndex} should go from min through center to max, ` +
+          `but it's ${min}, ${center}, and ${max}.`
+        )
+      }
+    }
+    return problems
+  }
+  /**
+   * Find inputs pointing at axes or buttons the gamepad doesn't have.
+   * They are not problems, as mappings are shared by gamepads of the same kind,
+   * but might be typos.
+   * @param {gamepadMapping} mapping
+   * @param {Gamepad} gamepad
+   * @returns {string[]}
+   */
+  static findUnavailable (mapping, gamepad) {
+    const notes = []
+    const entries = MappingEditor.getEntriesFor(mapping)
+    for (let e = 0; e < entries.length; e++) {
+      const entry = entries[e]
+      if (entry.type === 'deadzone' || entry.type === 'socd') { continue }
+      const axisIndex = MappingEditor.getAxisIndex(mapping, entry)
+      const value = axisIndex !== null ?
+        axisIndex : MappingEditor.getValue(mapping, entry.path)
+      if (!Number.isInteger(value)) { continue }
+      const type = axisIndex !== null ? 'axis' : 'button'
+      const available = (type === 'axis' ? gamepad.axes : gamepad.buttons).length
+      if (value >= available) {
+        notes.push(
+          `${entry.label} points at ${type} ${value}, but the gamepad has ` +
+          `${available} ${type === 'axis' ? 'axes' : 'buttons'}.`
+        )
+      }
+    }
+    return notes
+  }
+  /**
+   * Turn a stick with no axes and no button into null,
+   * as the mapping wizard does.
+   * @param {gamepadMapping} mapping
+   */
+  static normalize (mapping) {
+    if (!mapping.sticks) { return }
+    for (const side of ['left', 'right']) {
+      const stick = mapping.sticks[side]
+      if (!stick) { continue }
+      if (
+        (stick.x === null || typeof stick.x === 'undefined') &&
+        (stick.y === null || typeof stick.y === 'undefined') &&
+        (stick.button === null || typeof stick.button === 'undefined')
+      ) {
+        mapping.sticks[side] = null
+      }
+    }
+  }
+  /**
+   * Find the parts of an edited mapping different from the mapping,
+   * to be saved as an override of it.
+   * @param {?gamepadMapping} mapping
+   * @param {gamepadMapping} editedMapping
+   * @returns {Object} the override, laid over the mapping by `MappingManager.mergeMappings`
+   */
+  static getDifference (mapping, editedMapping) {
+    const isObject = value => Boolean(value) && value.constructor === Object
+    const difference = {}
+    for (const key in editedMapping) {
+      if (!editedMapping.hasOwnProperty(key)) { continue }
+      const value = editedMapping[key]
+      const baseValue = mapping ? mapping[key] : undefined
+      if (isObject(value) && isObject(baseValue)) {
+        const innerDifference = MappingEditor.getDifference(baseValue, value)
+        if (Object.keys(innerDifference).length) { difference[key] = innerDifference }
+      } else if (JSON.stringify(value) !== JSON.stringify(baseValue)) {
+        difference[key] = value
+      }
+    }
+    return difference
+  }
+  /**
+   * @param {string} name
+   * @param {string} text
+   * @param {boolean} checked
+   * @returns {HTMLLabelElement}
+   */
+  static makeCheckbox (name, text, checked) {
+    const label = document.createElement('label')
+    const checkbox = document.createElement('input')
+    checkbox.type = 'checkbox'
+    checkbox.dataset.name = name
+    checkbox.checked = checked
+    label.appendChild(checkbox)
+    label.appendChild(document.createTextNode(text))
+    return label
+  }
+  
+  makeDomStructure () {
+    const title = document.createElement('b')
+    title.setAttribute('class', 'title')
+    const closeButton = document.createElement('button')
+    closeButton.classList.add('close')
+    closeButton.textContent = '　　X　　'
+    const description = document.createElement('span')
+    description.setAttribute('class', 'description')
+    description.textContent =
+      'Click Rebind and make the input on the gamepad, or type an index. ' +
+      'Push sticks to the right or down to rebind them. ' +
+      'Empty an index to leave the input unassigned.'
+    const table = document.createElement('table')
+    table.setAttribute('class', 'after-margin')
+    const notifyArea = document.createElement('div')
+    notifyArea.setAttribute('class', 'notify-area no-divider')
+    const buttonDiv = document.createElement('div')
+    const saveButton = document.createElement('button')
+    saveButton.textContent = 'Save Mapping'
+    const revertButton = document.createElement('button')
+    revertButton.textContent = 'Revert Changes'
+    const oneEmptySpaceLetter = document.createElement('span')
+    oneEmptySpaceLetter.innerText = ' '
+    buttonDiv.appendChild(saveButton)
+    buttonDiv.appendChild(oneEmptySpaceLetter)
+    buttonDiv.appendChild(revertButton)
+    
+    closeButton.addEventListener('click', () => { this.close() })
+    saveButton.addEventListener('click', () => { this.save() })
+    revertButton.addEventListener('click', () => { this.revert() })
+    table.addEventListener('change', this.handleChange)
+    table.addEventListener('click', this.handleClick)
+    
+    const wrapper = document.createElement('div')
+    wrapper.setAttribute('id', 'mapping-editor-wrapper')
+    wrapper.appendChild(title)
+    wrapper.appendChild(closeButton)
+    wrapper.appendChild(description)
+    wrapper.appendChild(table)
+    wrapper.appendChild(notifyArea)
+    wrapper.appendChild(buttonDiv)
+    
+    this.dom = {
+      wrapper, title, table, notifyArea, buttonDiv, saveButton, revertButton
+    }
+  }
+  
+  appendToParent (parentDom, insertAfterThisDom) {
+    if (insertAfterThisDom) {
+      parentDom.insertBefore(this.dom.wrapper, insertAfterThisDom.nextSibling)
+    } else {
+      parentDom.appendChild(this.dom.wrapper)
+    }
+  }
+  
+  /** @type {boolean} */
+  get visibility () {
+    return this.dom.wrapper.classList.contains('active')
+  }
+  set visibility (state) {
+    this.dom.wrapper.classList.toggle('active', state)
+    this.dom.wrapper.classList.toggle('inactive', !state)
+  }
+  
+  /**
+   * Start editing the mapping of the gamepad in the slot.
+   * @param {number|string} slot
+   * @param {string} name
+   * @param {gamepadId} gamepadId
+   * @returns {boolean}
+   */
+  open (slot, name, gamepadId) {
+    if (!gamepadId) { return false }
+    this.slot = Number(slot)
+    this.gamepadId = gamepadId
+    this.revert()
+    
+    if (this.editedMappingId !== gamepadId) {
+      this.notify(
+        `${name} is using the override ${this.editedMappingId}, ` +
+        'so the override is edited instead of the mapping for the kind.'
+      )
+    } else if (!this.manager.mappings[gamepadId]) {
+      this.notify(
+        `${name} is using the mapping for ${this.mappedGamepadId}. ` +
+        'Saving makes a new mapping for this kind of gamepad.'
+      )
+    }
+    this.visibility = true
+    cancelAnimationFrame(this.loopID)
+    this.loopID = requestAnimationFrame(this.loop)
+    return true
+  }
+  close () {
+    this.visibility = false
+    this.rebinding = null
+    cancelAnimationFrame(this.loopID)
+    this.loopID = 0
+  }
+  
+  /**
+   * gamepadId of the mapping the gamepad is using now
+   * @type {gamepadId}
+   */
+  get mappedGamepadId () {
+    const id = this.watcher.gamepadId[this.slot]
+    return this.manager.getMappedGamepadId(
+      this.gamepadId, this.slot, id ? id.nickname : null
+    )
+  }
+  /**
+   * the override the gamepad is using, or its gamepadId,
+   * which is where the edited mapping is saved
+   * @type {(gamepadId|mappingOverrideId)}
+   */
+  get editedMappingId () {
+    const mappedGamepadId = this.mappedGamepadId
+    return MappingManager.parseOverrideId(mappedGamepadId) ?
+      mappedGamepadId : this.gamepadId
+  }
+  /**
+   * Discard changes, and copy the mapping again.
+   * An override is copied laid over the mapping it overrides.
+   */
+  revert () {
+    const source = this.manager.getMapping(this.mappedGamepadId)
+    this.mapping = JSON.parse(JSON.stringify(source))
+    if (
+      this.editedMappingId === this.gamepadId &&
+      !this.manager.mappings[this.gamepadId]
+    ) {
+      const gamepad = this.watcher.getGamepadInSlot(this.slot)
+      if (gamepad) {
+        this.mapping.name = MPCommon.getGamepadId(gamepad.id).name
+      }
+    }
+    this.rebinding = null
+    this.dom.title.innerText =
+      `Mapping for ${this.mapping.name} (${this.editedMappingId})`
+    this.makeRows()
+  }
+  makeRows () {
+    const table = this.dom.table
+    while (table.firstChild) {
+      table.removeChild(table.lastChild)
+    }
+    this.entries = MappingEditor.getEntriesFor(this.mapping)
+    this.rows = []
+    
+    const header = table.insertRow()
+    for (const text of ['Input', 'Index', 'Now', 'Options', '']) {
+      const th = document.createElement('th')
+      th.textContent = text
+      header.appendChild(th)
+    }
+    
+    for (let e = 0; e < this.entries.length; e++) {
+      const entry = this.entries[e]
+      const row = table.insertRow()
+      row.dataset.index = e.toString()
+      row.insertCell().textContent = entry.label
+      
+      if (entry.type === 'socd') {
+        this.makeSOCDCells(row)
+        this.rows.push(row)
+        continue
+      }
+      const input = document.createElement('input')
+      input.type = 'number'
+      input.min = '0'
+      input.step = entry.type === 'deadzone' ? '0.01' : '1'
+      if (entry.type === 'deadzone') {
+        input.max = '0.99'
+        const sharedDeadzone = this.mapping.sticks ? this.mapping.sticks.deadzone : null
+        if (typeof sharedDeadzone === 'number') {
+          input.placeholder = sharedDeadzone.toString()
+        }
+      }
+      const value = MappingEditor.getValue(this.mapping, entry.path)
+      const axisIndex = MappingEditor.getAxisIndex(this.mapping, entry)
+      const index = entry.type === 'axis' ? value : (axisIndex !== null ? axisIndex : value)
+      input.value = typeof index === 'number' ? index.toString() : ''
+      row.insertCell().appendChild(input)
+      
+      const indicator = row.insertCell()
+      indicator.setAttribute('class', 'indicator monospace')
+      
+      const optionCell = row.insertCell()
+      if (entry.axisAllowed) {
+        optionCell.appendChild(
+          MappingEditor.makeCheckbox('isAxis', 'Axis', value !== null && typeof value === 'object')
+        )
+      }
+      if ((entry.type === 'axis' && !entry.axisDpad) || entry.axisAllowed) {
+        optionCell.appendChild(MappingEditor.makeCheckbox('invert', 'Invert', false))
+      }
+      
+      const actionCell = row.insertCell()
+      if (entry.type !== 'deadzone') {
+        const rebindButton = document.createElement('button')
+        rebindButton.dataset.name = 'rebind'
+        rebindButton.textContent = 'Rebind'
+        actionCell.appendChild(rebindButton)
+      }
+      this.rows.push(row)
+      this.updateOptionInputs(e)
+    }
+  }
+  /**
+   * Fill the row for SOCD resolution with a select of the modes,
+   * as it's not an index.
+   * @param {HTMLTableRowElement} row
+   */
+  makeSOCDCells (row) {
+    const dpad = this.mapping.buttons ? this.mapping.buttons.dpad : null
+    const select = document.createElement('select')
+    select.dataset.name = 'socd'
+    select.options.add(new Option('Both pass', ''))
+    for (const mode in MappingManager.socdModes) {
+      select.options.add(new Option(MappingManager.socdModes[mode], mode))
+    }
+    select.value = dpad && dpad.socd ? dpad.socd : ''
+    row.insertCell().appendChild(select)
+    
+    const indicator = row.insertCell()
+    indicator.setAttribute('class', 'indicator monospace')
+    row.insertCell().appendChild(MappingEditor.makeCheckbox(
+      'socdHighlight', 'Show Conflicts', Boolean(dpad && dpad.socdHighlight)
+    ))
+    row.insertCell()
+  }
+  /**
+   * Show the option of the axis the entry reads now.
+   * @param {number} entryIndex
+   */
+  updateOptionInputs (entryIndex) {
+    const invertCheckbox =
+      this.rows[entryIndex].querySelector('input[data-name="invert"]')
+    if (!invertCheckbox) { return }
+    const axisIndex =
+      MappingEditor.getAxisIndex(this.mapping, this.entries[entryIndex])
+    const axisOption = axisIndex !== null && this.mapping.axisOptions ?
+      this.mapping.axisOptions[axisIndex] : null
+    invertCheckbox.checked = Boolean(axisOption && axisOption.invert)
+    invertCheckbox.disabled = axisIndex === null
+  }
+  
+  /**
+   * @param {Event} e
+   */
+  handleChange (e) {
+    if (e.target.tagName !== 'INPUT' && e.target.tagName !== 'SELECT') { return }
+    const row = e.target.closest('tr')
+    const entryIndex = Number(row.dataset.index)
+    const entry = this.entries[entryIndex]
+    
+    if (entry.type === 'socd') {
+      const dpad = MappingEditor.getValue(this.mapping, ['buttons', 'dpad'])
+      if (!dpad) { return }
+      const key = e.target.dataset.name
+      const value = key === 'socd' ? e.target.value : e.target.checked
+      if (value) {
+        dpad[key] = value
+      } else {
+        delete dpad[key]
+      }
+      return
+    }
+    if (e.target.dataset.name === 'invert') {
+      const axisIndex = MappingEditor.getAxisIndex(this.mapping, entry)
+      if (axisIndex === null) { return }
+      const axisOption = Object.assign(
+        {}, this.mapping.axisOptions ? this.mapping.axisOptions[axisIndex] : null
+      )
+      if (e.target.checked) {
+        axisOption.invert = true
+      } else {
+        delete axisOption.invert
+      }
+      MappingManager.setAxisOption(
+        this.mapping, axisIndex, Object.keys(axisOption).length ? axisOption : null
+      )
+      return
+    }
+    
+    const indexInput = row.querySelector('input[type="number"]')
+    const asAxis = row.querySelector('input[data-name="isAxis"]')
+    const index = indexInput.value.trim() === '' ? null : Number(indexInput.value)
+    MappingEditor.setValue(
+      this.mapping, entry.path,
+      asAxis && asAxis.checked && index !== null ? { axis: index } : index
+    )
+    this.updateOptionInputs(entryIndex)
+  }
+  /**
+   * @param {MouseEvent} e
+   */
+  handleClick (e) {
+    if (e.target.tagName !== 'BUTTON') { return }
+    if (e.target.dataset.name !== 'rebind') { return }
+    const entryIndex = Number(e.target.closest('tr').dataset.index)
+    if (this.rebinding && this.rebinding.entry === entryIndex) {
+      // clicked again, stop waiting
+      this.stopRebinding()
+      return
+    }
+    this.startRebinding(entryIndex)
+  }
+  
+  /**
+   * Wait for an input to assign to the entry.
+   * @param {number} entryIndex
+   * @returns {boolean}
+   */
+  startRebinding (entryIndex) {
+    const gamepad = this.watcher.getGamepadInSlot(this.slot)
+    if (!gamepad) {
+      this.notify('The gamepad is not connected.', true)
+      return false
+    }
+    this.stopRebinding()
+    this.rebinding = {
+      entry: entryIndex,
+      axes: Array.from(gamepad.axes),
+      buttons: Array.from(gamepad.buttons).map(b => b.value)
+    }
+    const button = this.rows[entryIndex].querySelector('button')
+    button.textContent = 'Waiting...'
+    button.classList.add('waiting')
+    return true
+  }
+  stopRebinding () {
+    if (!this.rebinding) { return }
+    const button = this.rows[this.rebinding.entry].querySelector('button')
+    button.textContent = 'Rebind'
+    button.classList.remove('waiting')
+    this.rebinding = null
+  }
+  /**
+   * Assign an input made after rebinding started, if there's one.
+   * @param {Gamepad} gamepad
+   */
+  detectRebinding (gamepad) {
+    const entryIndex = this.rebinding.entry
+    const entry = this.entries[entryIndex]
+    // compared with the value at the start, for axes not resting at 0
+    const findAxis = () => Array.from(gamepad.axes).findIndex(
+      (v, a) => Math.abs(v - this.rebinding.axes[a]) > 0.5
+    )
+    let foundIndex = -1
+    let foundAxis = false
+    if (entry.type === 'axis') {
+      foundIndex = findAxis()
+      foundAxis = true
+    } else {
+      foundIndex = Array.from(gamepad.buttons).findIndex(
+        (b, i) => b.value > 0.5 && !(this.rebinding.buttons[i] > 0.5)
+      )
+      if (foundIndex === -1 && entry.axisAllowed) {
+        foundIndex = findAxis()
+        foundAxis = true
+      }
+    }
+    if (foundIndex === -1) { return }
+    
+    const row = this.rows[entryIndex]
+    MappingEditor.setValue(
+      this.mapping, entry.path,
+      foundAxis && entry.type !== 'axis' ? { axis: foundIndex } : foundIndex
+    )
+    if (foundAxis && !entry.axisDpad) {
+      MappingEditor.detectAxisOption(
+        this.mapping, foundIndex,
+        this.rebinding.axes[foundIndex], gamepad.axes[foundIndex]
+      )
+    }
+    row.querySelector('input[type="number"]').value = foundIndex.toString()
+    const asAxis = row.querySelector('input[data-name="isAxis"]')
+    if (asAxis) { asAxis.checked = foundAxis }
+    this.updateOptionInputs(entryIndex)
+    this.stopRebinding()
+  }
+  
+  /**
+   * Update the live indicators, and look for an input to rebind,
+   * while the editor is visible.
+   */
+  loop () {
+    if (!this.visibility) {
+      this.loopID = 0
+      return
+    }
+    const gamepad = this.watcher.getGamepadInSlot(this.slot)
+    if (gamepad) {
+      if (this.rebinding) { this.detectRebinding(gamepad) }
+      this.updateIndicators(gamepad)
+    }
+    this.loopID = requestAnimationFrame(this.loop)
+  }
+  /**
+   * @param {Gamepad} gamepad
+   */
+  updateIndicators (gamepad) {
+    const sticks = this.mapping.sticks || {}
+    const axisOptions = this.mapping.axisOptions || {}
+    const getAxisValue = axisIndex => MappingManager.normalizeAxisValue(
+      gamepad.axes[axisIndex], axisOptions[axisIndex]
+    )
+    for (let e = 0; e < this.entries.length; e++) {
+      const entry = this.entries[e]
+      let text = '-'
+      let active = false
+      
+      if (entry.type === 'deadzone') {
+        const stick = sticks[entry.stick]
+        if (stick) {
+          const deadzone = stick.deadzone || sticks.deadzone || 0
+          const distance = Math.max(
+            Math.abs(getAxisValue(stick.x) || 0),
+            Math.abs(getAxisValue(stick.y) || 0)
+          )
+          text = distance.toFixed(3)
+          active = distance > deadzone
+        }
+      } else {
+        const index = MappingEditor.getValue(this.mapping, entry.path)
+        const axisIndex = MappingEditor.getAxisIndex(this.mapping, entry)
+        if (entry.type === 'axis' && typeof gamepad.axes[index] === 'number') {
+          const value = getAxisValue(index)
+          text = value.toFixed(3)
+          // dpad axes rest above 1
+          active = entry.axisDpad ?
+            value !== 0 && value <= 1 : Math.abs(value) > 0.5
+        } else if (axisIndex !== null && typeof gamepad.axes[axisIndex] === 'number') {
+          const value = Math.max(0, getAxisValue(axisIndex))
+          text = value.toFixed(3)
+          active = value > MappingManager.axisButtonThreshold
+        } else if (entry.type === 'button' && gamepad.buttons[index]) {
+          const button = gamepad.buttons[index]
+          text = button.value.toFixed(3)
+          active = button.pressed
+        }
+      }
+      
+      const indicator = this.rows[e].cells[2]
+      if (indicator.textContent !== text) { indicator.textContent = text }
+      indicator.classList.toggle('active', active)
+    }
+  }
+  
+  /**
+   * Check the edited mapping, and replace the stored one with it.
+   * @returns {boolean}
+   */
+  save () {
+    const mapping = JSON.parse(JSON.stringify(this.mapping))
+    MappingEditor.normalize(mapping)
+    const problems = MappingEditor.findProblems(mapping)
+    if (problems.length) {
+      this.notify(problems.join('\n'), true)
+      MappingEditor.announceMessage(new Error(
+        `The mapping for ${this.editedMappingId} is not saved.\n` + problems.join('\n')
+      ))
+      return false
+    }
+    
+    const editedMappingId = this.editedMappingId
+    const override = MappingManager.parseOverrideId(editedMappingId)
+    const notes = []
+    let savedMapping = mapping
+    if (override) {
+      const baseMapping = this.manager.mappings[
+        MappingManager.resolveMappedGamepadId(this.manager.mappings, override.gamepadId)
+      ]
+      savedMapping = MappingEditor.getDifference(baseMapping, mapping)
+      // overrides can't remove what the mapping has
+      const mergedMapping = MappingManager.mergeMappings(baseMapping, savedMapping)
+      if (Object.keys(MappingEditor.getDifference(mapping, mergedMapping)).length) {
+        notes.push('Options removed in the override stay as the mapping it overrides has them.')
+      }
+    }
+    
+    const result =
+      this.manager.addOrUpdate(editedMappingId, savedMapping) && this.manager.store()
+    if (result) {
+      const gamepad = this.watcher.getGamepadInSlot(this.slot)
+      if (gamepad) { notes.push(...MappingEditor.findUnavailable(mapping, gamepad)) }
+      this.notify(['The mapping is saved.', ...notes].join('\n'))
+    } else {
+      this.notify('The mapping couldn\'t be saved. Check the error log.', true)
+    }
+    return result
+  }
+  
+  /**
+   * @param {string} message
+   * @param {boolean} isError
+   */
+  notify (message, isError = false) {
+    const notifyArea = this.dom.notifyArea
+    notifyArea.classList.add('visible')
+    notifyArea.classList.toggle('error', isError)
+    notifyArea.innerText = message
+    if (this.notifyTimerID) {
+      clearTimeout(this.notifyTimerID)
+    }
+    this.notifyTimerID = setTimeout(area => {
+      area.classList.remove('visible')
+      area.classList.remove('error')
+    }, 4000, notifyArea)
+  }
+}
@@ -12,6 +12,12 @@
  * @property {{x: number, y: number, button: number, deadzone: number}} sticks.right numbers of axes and a button for right thumb stick
  * @property {number} sticks.left.deadzone define the end of a range of value which shouldn't be treated as an actual movement. 0 is at the center, 1 is the end of the axis.
  * @property {number} sticks.right.deadzone define the end of a range of value which shouldn't be treated as an actual movement. 0 is at the center, 1 is the end of the axis.
+ * @property {string} [sticks.left.deadzoneShape] 'axial' to apply the deadzone on each axis, 'radial' to apply it on the distance from the center.
+ * Options from here make the processed value of the stick shaped the way games read it, instead of the raw value.
+ * Each of them can also be given on `sticks`, for both sticks.
+ * @property {number} [sticks.left.outerDeadzone] range at the end of the axis seen as full deflection, for worn sticks not reaching 1.
+ * @property {number} [sticks.left.antiDeadzone] the value the stick jumps to when it leaves the deadzone.
+ * @property {(string|number)} [sticks.left.curve] response curve, one of {@link MappingManager.stickCurves} or an exponent.
  *
  * @property {Object.<string, Object.<string, number>>} buttons
  *
@@ -27,6 +33,13 @@
  * @property {number} [buttons.dpad.downright]
  * @property {number} [buttons.dpad.downleft]
  * @property {number} [buttons.dpad.upleft]
+ * @property {number} [buttons.dpad.neutral] the value the axis represents when the dpad is not pressed.
+ * Without it, values above 1 and 0 are seen as neutral.
+ * @property {string} [buttons.dpad.socd]
+ * how to resolve opposite directions held together on a dpad made of four buttons,
+ * one of {@link MappingManager.socdModes}. Both directions pass through if not given.
+ * @property {boolean} [buttons.dpad.socdHighlight]
+ * show directions held but left out by the resolution, besides the direction the game sees.
  *
  * @property {Object.<string, number>} buttons.face
  * indexes of face buttons.
@@ -44,9 +57,75 @@
  * indexes of shoulder buttons.
  * @property {number} buttons.shoulder.l1 'LB' on XInput, 'L1' on DInput
  * @property {number} buttons.shoulder.r1 'RB' on XInput, 'R1' on DInput
- * @property {number} [buttons.shoulder.l2] 'LT' on XInput, 'L2' on DInput
- * @property {number} [buttons.shoulder.r2] 'RT' on XInput, 'R2' on DInput
+ * @property {(number|{axis: number})} [buttons.shoulder.l2] 'LT' on XInput, 'L2' on DInput
+ * @property {(number|{axis: number})} [buttons.shoulder.r2] 'RT' on XInput, 'R2' on DInput
  *
+ * @property {?Object.<string, number>} [buttons.extra]
+ * indexes of buttons beyond the standard layout, every one of them optional.
+ * @property {number} [buttons.extra.paddle1] back paddles, like P1 to P4 on Elite or Edge controllers
+ * @property {number} [buttons.extra.paddle2]
+ * @property {number} [buttons.extra.paddle3]
+ * @property {number} [buttons.extra.paddle4]
+ * @property {number} [buttons.extra.capture] Capture button on Switch controllers
+ * @property {number} [buttons.extra.fn1] function buttons of arcade sticks
+ * @property {number} [buttons.extra.fn2]
+ * @property {number} [buttons.extra.turbo] Turbo button of arcade sticks
+ * @property {number} [buttons.extra.extra1] any other buttons, like the 7th and 8th rows of arcade sticks
+ * @property {number} [buttons.extra.extra2]
+ * Any button can be given as `{axis: number}` instead of an index,
+ * for triggers or pedals conveyed by an axis.
+ * The positive half of the axis, after `axisOptions` are applied, is the value of the button.
+ *
+ * @property {Object.<number, axisOption>} [axisOptions]
+ * how to read axes not centered at 0 or going the other way, by indexes of axes.
+ * Every stick, dpad and button reading the axis gets the value made from the option.
+ *
+ * @property {gamepadMapping} [player2]
+ * mapping of the second player, for devices reporting two players as one gamepad,
+ * like two-player arcade panels. It reads the same axes and buttons as this mapping,
+ * and the second player is shown in a slot no gamepad is taking,
+ * as a gamepad with the gamepadId followed by `-p2`.
+ */
+/**
+ * @typedef {string} mappingOverrideId
+ * @description
+ * Key of a mapping laid over the mapping of a gamepadId,
+ * for one of the gamepads of the same kind.
+ * It's the gamepadId and either a slot counted from 0 joined with '/',
+ * or a nickname of the device joined with '@', e.g. `054c09cc/1` or `054c09cc@left hand`.
+ *
+ * The mapping for it only needs the parts to change, like `{"sticks": {"left": {"deadzone": 0.2}}}`.
+ * Objects in it are merged into those of the mapping it overrides,
+ * and any other value replaces the one there.
+ */
+/**
+ * @typedef {Object} compositeDevice
+ * @description
+ * One logical gamepad made of inputs of several devices,
+ * like a pair of Joy-Cons or an arcade stick with separate pedals.
+ * It's shown in one slot, the first one taken by any of the devices,
+ * and the other slots the devices take are left empty.
+ *
+ * Each device is read with its own mapping, then only the inputs given for it are taken.
+ * Its key is used as the gamepadId of the logical gamepad, for skins and combos.
+ *
+ * @property {string} name human readable string shown for the logical gamepad
+ * @property {string[]} [properties] same as `properties` of a mapping, for the renderer
+ * @property {Object.<gamepadId, string[]>} sources
+ * inputs each device feeds, as paths in a ProcessedGamepadChange,
+ * a whole group like `sticks.left`, `buttons.dpad` or `buttons.face`,
+ * or a single button like `buttons.face.select`.
+ * An input can only be fed by one device.
+ */
+/**
+ * @typedef {Object} axisOption
+ * @description
+ * Range of an axis, used to turn its value into one centered at 0 and going from -1 to 1.
+ *
+ * @property {boolean} [invert] flip the sign of the value
+ * @property {number} [center] the value the axis rests at, 0 if not given
+ * @property {number} [min] the lowest value the axis reaches, -1 if not given
+ * @property {number} [max] the highest value the axis reaches, 1 if not given
  */
 /**
  * @typedef {Object} ProcessedGamepadChange
@@ -54,11 +133,16 @@
  * This object contains input changes of a gamepad, arranged by a corresponding mapping.
  * This doesn't carry the whole state, only the changes made on the gamepad.
  *
- * @property {Object} id `Gamepad.id` formatted into the name and the gamepadId.
+ * @property {?Object} id `Gamepad.id` formatted into the name and the gamepadId.
+ * It's null for a change with 'vacated' property, which clears a slot a second player left.
  * @property {string} id.name
  * @property {gamepadId} id.gamepadId
  *
- * @property {gamepadId} mappingId gamepadId of a mapping used for producing this ProcessedGamepadChange.
+ * @property {string} [id.nickname] nickname given to the device
+ *
+ * @property {(gamepadId|mappingOverrideId)} mappingId key of a mapping used for producing this ProcessedGamepadChange.
+ * It's the key of a {@link compositeDevice} when the change is made of changes of several devices.
+ * @property {DOMHighResTimeStamp} timestamp {@link GamepadChange.timestamp}
  *
  * @property {string[]} properties
  * List of known keywords representing a state this change should be treated as.
@@ -79,6 +163,9 @@
  * @property {?(buttonChange|basicButtonChange)} buttons.dpad.down
  * @property {?(buttonChange|basicButtonChange)} buttons.dpad.left
  * @property {?(buttonChange|basicButtonChange)} buttons.dpad.right
+ * When SOCD is resolved on the mapping, these are the directions after the resolution,
+ * and with `socdHighlight` they have `conflicting` property,
+ * which is true while the direction is held but left out.
  *
  * @property {?Object.<string, ?buttonChange>} buttons.face
  * It will contain null when it's not on the mapping of the gamepad.
@@ -99,10 +186,16 @@
  * @property {?buttonChange} buttons.shoulder.r1 'RB' on XInput, 'R1' on DInput
  * @property {?buttonChange} buttons.shoulder.l2 'LT' on XInput, 'L2' on DInput
  * @property {?buttonChange} buttons.shoulder.r2 'RT' on XInput, 'R2' on DInput
+ *
+ * @property {?Object.<string, ?buttonChange>} buttons.extra
+ * It will contain null when it's not on the mapping of the gamepad.
+ * Otherwise it will always contain buttons as properties, each of which could be null on no changes.
+ * Buttons in it are named the same as those of `buttons.extra` on `gamepadMapping`.
  */
 /**
  * @typedef {Object} stickChange Contains changes made on a single stick of a gamepad.
  * @property {number[]} value Values of x-axis, y-axis, and a button of the stick.
+ * Values of axes are shaped when the stick mapping has options for it.
  * Length of the array will be 2 if there's no change on the button.
  * @property {number[]} delta Change of the values from the last time processedGamepadChange was made.
  * @property {?boolean} pressed Indicates the state of the button. This will be null if there's no change.
@@ -122,9 +215,7 @@
  * If there was no changes for a gamepad (or it's not connected), the corresponding property will be set as null.
  *
  * @property {?ProcessedGamepadChange} detail.0
- * @property {?ProcessedGamepadChange} detail.1
- * @property {?ProcessedGamepadChange} detail.2
- * @property {?ProcessedGamepadChange} detail.3
+ * There is one property for each slot, from 0 to `MPCommon.maxGamepads - 1`.
  * @property {number} detail.length Defined so it can be iterated with for loop.
  */
 
@@ -156,6 +247,11 @@ class MappingManager {
      */
     this.maxGamepads = MPCommon.maxGamepads || 4
     this.mappings = {}
+    /**
+     * name of the mapping profile `mappings` belong to
+     * @type {string}
+     */
+    this.profile = this.loadProfileName()
     /**
      * @typedef {Object} assignmentState
      * @property {boolean} ongoing
@@ -179,8 +275,54 @@ class MappingManager {
     for (let i = 0; i < this.dpadState.length; i++) {
       this.dpadState[i] = [0, 0]
     }
+    /**
+     * Remember which dpad buttons are held and in what order for each gamepad,
+     * to resolve opposite directions held together.
+     * @type {socdState[]}
+     */
+    this.socdState = Array(this.maxGamepads)
+    for (let i = 0; i < this.socdState.length; i++) {
+      this.socdState[i] = MappingManager.makeSOCDState()
+    }
+    /**
+     * Remember the last seen value of every axis for each gamepad,
+     * as unchanged axes are given as null.
+     * @type {number[][]}
+     */
+    this.axisState = Array(this.maxGamepads)
+    for (let i = 0; i < this.axisState.length; i++) {
+      this.axisState[i] = []
+    }
+    /**
+     * id of the gamepad last seen in each slot, to find devices of composite devices
+     * @type {Array<?Object>}
+     */
+    this.slotIds = Array(this.maxGamepads).fill(null)
+    /** @type {Object.<gamepadId, compositeDevice>} */
+    this.compositeDevices = this.loadCompositeDevices()
+    /**
+     * @typedef {Object} secondPlayerState
+     * @property {?number} slot slot the second player is shown in
+     * @property {boolean} waiting true while there's no free slot for it
+     * @property {number[]} dpadState
+     * @property {socdState} socdState
+     */
+    /**
+     * second players of devices with `player2` on their mappings,
+     * by slots of the devices
+     * @type {Object.<number, secondPlayerState>}
+     */
+    this.secondPlayers = {}
+    /**
+     * slots second players left, to be cleared with the next processed change
+     * @type {number[]}
+     */
+    this.vacatedSlots = []
   
     this.import = this.import.bind(this)
+    this.importSDL = this.importSDL.bind(this)
+    this.switchProfile = this.switchProfile.bind(this)
+    this.importCompositeDevices = this.importCompositeDevices.bind(this)
     if (newMappings) {
       this.import(newMappings)
     } else {
@@ -193,9 +335,92 @@ class MappingManager {
     window.addEventListener(
       'gamepadChange', this.processGamepadChange
     )
+    window.addEventListener('gamepadslotdisconnected', e => {
+      if (e.gamepad.index < this.slotIds.length) {
+        this.slotIds[e.gamepad.index] = null
+      }
+      this.releaseSecondPlayer(e.gamepad.index)
+      if (this.vacatedSlots.length) {
+        // no change of the gamepad follows to carry the vacated slots
+        const processedChanges = { length: this.maxGamepads }
+        for (let i = 0; i < processedChanges.length; i++) {
+          processedChanges[i] = null
+        }
+        this.clearVacatedSlots(processedChanges)
+        MappingManager.announceGamepadChange(processedChanges)
+      }
+    })
   }
   
   static announceMessage = MPCommon.announceMessageFrom('Mapping Manager')
+  /**
+   * the profile using the mappings stored before profiles were made
+   * @type {string}
+   */
+  static defaultProfile = 'default'
+  static profileLocalStorageKey = 'mappingProfile'
+  static profileListLocalStorageKey = 'mappingProfiles'
+  static compositeDeviceLocalStorageKey = 'compositeDevices'
+  /**
+   * value a button made from an axis is seen as pressed above
+   * @type {number}
+   */
+  static axisButtonThreshold = 0.1
+  /**
+   * an axis pushed beyond this during an assignment is seen as reaching its end
+   * @type {number}
+   */
+  static axisFullReach = 0.9
+  /**
+   * values closer than this are seen as the same value of an axisdpad
+   * @type {number}
+   */
+  static axisDpadMinimumGap = 0.02
+  /**
+   * response curves for sticks, taking and returning a deflection from 0 to 1
+   * @type {Object.<string, function(number): number>}
+   */
+  static stickCurves = {
+    linear: x => x,
+    quadratic: x => x * x,
+    cubic: x => x * x * x,
+    aggressive: x => Math.sqrt(x)
+  }
+  /**
+   * options of a stick mapping shaping its processed value
+   * @type {string[]}
+   */
+  static stickShapingOptions = ['deadzoneShape', 'outerDeadzone', 'antiDeadzone', 'curve']
+  /**
+   * ways to resolve simultaneous opposite cardinal directions (SOCD), with their labels.
+   * - neutral: opposite directions cancel each other out
+   * - last: the direction pressed later wins
+   * - first: the direction pressed earlier wins
+   * - up: up wins over down, left and right cancel each other out
+   * @type {Object.<string, string>}
+   */
+  static socdModes = {
+    neutral: 'Neutral',
+    last: 'Last Input Priority',
+    first: 'First Input Priority',
+    up: 'Up Priority'
+  }
+  /**
+   * platform of SDL mappings imported and exported,
+   * as indexes of inputs differ between platforms
+   * @type {string}
+   */
+  static sdlPlatform = 'Windows'
+  /**
+   * index of the axis browsers give for the first hat of a DInput gamepad
+   * @type {number}
+   */
+  static sdlHatAxis = 9
+  /**
+   * deadzone of sticks in mappings imported from SDL mappings, which don't have one
+   * @type {number}
+   */
+  static sdlStickDeadzone = 0.08
   /**
    * Dispatch an event of 'processedGamepadChange' type
    * with data of mapped changes included in it.
@@ -208,50 +433,838 @@ class MappingManager {
     }))
   }
   
+  /**
+   * @typedef {Object} mappingValidationResult
+   * @property {boolean} valid always false, as `true` is given instead for valid mappings
+   * @property {string[]} errors
+   * each error as the path to the wrong value and the reason,
+   * like `XInput.buttons.face.down: expected integer of 0 or above, got string`
+   */
+  /**
+   * Check every mapping against the shape of {@link gamepadMapping}.
+   * @param {*} mappings mappings by gamepadId
+   * @returns {(true|mappingValidationResult)}
+   */
   static validateMappings (mappings) {
+    const errors = []
+    if (!mappings || mappings.constructor !== Object) {
+      errors.push(`mappings: expected object, got ${MappingManager.describeType(mappings)}`)
+    } else if (Object.keys(mappings).length === 0) {
+      errors.push('mappings: expected at least one mapping, got none')
+    } else {
+      const overrideIds = []
+      const invalidIds = []
+      for (const gamepadId in mappings) {
+        if (!mappings.hasOwnProperty(gamepadId)) { continue }
+        if (MappingManager.parseOverrideId(gamepadId)) {
+          overrideIds.push(gamepadId)
+          continue
+        }
+        const mappingErrors = MappingManager.validateMapping(mappings[gamepadId], gamepadId)
+        if (mappingErrors.length) { invalidIds.push(gamepadId) }
+        errors.push(...mappingErrors)
+      }
+      // overrides are checked as the mappings they make with what they override
+      for (const overrideId of overrideIds) {
+        const override = mappings[overrideId]
+        const baseId = MappingManager.resolveMappedGamepadId(
+          mappings, MappingManager.parseOverrideId(overrideId).gamepadId
+        )
+        if (!mappings[baseId]) {
+          errors.push(`${overrideId}: expected a mapping to override, got none`)
+        } else if (!override || override.constructor !== Object) {
+          errors.push(`${overrideId}: expected object, got ${MappingManager.describeType(override)}`)
+        } else if (invalidIds.indexOf(baseId) === -1) {
+          errors.push(...MappingManager.validateMapping(
+            MappingManager.mergeMappings(mappings[baseId], override), overrideId
+          ))
+        }
+      }
+    }
+    
+    if (!errors.length) { return true }
+    return {
+      valid: false,
+      errors: errors
+    }
+  }
+  /**
+   * Tell the type of a value for validation errors.
+   * @param {*} value
+   * @returns {string}
+   */
+  static describeType (value) {
+    if (value === null) { return 'null' }
+    if (Array.isArray(value)) { return 'array' }
+    if (Number.isInteger(value)) { return 'integer' }
+    return typeof value
+  }
+  /**
+   * @param {gamepadId} gamepadId
+   * @param {number} slot
+   * @returns {mappingOverrideId}
+   */
+  static makeSlotOverrideId (gamepadId, slot) {
+    return `${gamepadId}/${slot}`
+  }
+  /**
+   * @param {gamepadId} gamepadId
+   * @param {string} nickname
+   * @returns {mappingOverrideId}
+   */
+  static makeNicknameOverrideId (gamepadId, nickname) {
+    return `${gamepadId}@${nickname}`
+  }
+  /**
+   * @param {gamepadId} gamepadId
+   * @returns {gamepadId} gamepadId the second player of the gamepad is shown as
+   */
+  static makeSecondPlayerId (gamepadId) {
+    return `${gamepadId}-p2`
+  }
+  /**
+   * @param {string} mappingId
+   * @returns {?{gamepadId: gamepadId, slot: ?number, nickname: ?string}}
+   * null if it's not a mappingOverrideId
+   */
+  static parseOverrideId (mappingId) {
+    const matchResult = mappingId.match(/^([^@/]+)(?:\/(\d+)|@(.+))$/)
+    if (!matchResult) { return null }
+    return {
+      gamepadId: matchResult[1],
+      slot: typeof matchResult[2] === 'string' ? Number(matchResult[2]) : null,
+      nickname: matchResult[3] || null
+    }
+  }
+  /**
+   * Look for the mapping a gamepad uses when there's no override for it.
+   * If the mapping for the exact gamepadId doesn't exist,
+   * look if a mapping for the same vendor ID exists,
+   * and give either the vendor ID or 'DInput'.
+   * @param {Object.<string, gamepadMapping>} mappings
+   * @param {gamepadId} gamepadId
+   * @returns {gamepadId}
+   */
+  static resolveMappedGamepadId (mappings, gamepadId) {
+    // if it's not one of two standards,
+    // check vendor id, if still not known then assign DInput
+    /* I assume gamepads have xinput mode beside
+     their own mode that could be fit as dinput */
+    if (mappings[gamepadId]) {
+      return gamepadId
+    } else {
+      const vendorId = gamepadId.slice(0,4)
+      if (mappings[vendorId]) {
+        return vendorId
+      } else {
+        return 'DInput'
+      }
+    }
+  }
+  /**
+   * Lay an override over a mapping.
+   * Neither of them is changed, and the result doesn't share objects with them.
+   * @param {gamepadMapping} mapping
+   * @param {Object} override
+   * @returns {gamepadMapping}
+   */
+  static mergeMappings (mapping, override) {
+    const isObject = value => Boolean(value) && value.constructor === Object
+    const merge = (base, top) => {
+      const merged = {}
+      for (const key of new Set([...Object.keys(base), ...Object.keys(top)])) {
+        const value = top.hasOwnProperty(key) ? top[key] : base[key]
+        if (isObject(value)) {
+          merged[key] = merge(
+            top.hasOwnProperty(key) && isObject(base[key]) ? base[key] : {},
+            value
+          )
+        } else {
+          merged[key] = Array.isArray(value) ? value.slice() : value
+        }
+      }
+      return merged
+    }
+    return merge(mapping, override)
+  }
+  /**
+   * @param {*} mapping
+   * @param {string} path where the mapping is, to start paths of errors with
+   * @returns {string[]} errors found
+   */
+  static validateMapping (mapping, path) {
+    const errors = []
+    const type = MappingManager.describeType
+    const expect = (valuePath, expected, value) => {
+      errors.push(`${valuePath}: expected ${expected}, got ${type(value)}`)
+    }
+    const isObject = value => Boolean(value) && value.constructor === Object
+    const checkKeys = (object, objectPath, knownKeys) => {
+      for (const key in object) {
+        if (!object.hasOwnProperty(key) || knownKeys.indexOf(key) !== -1) { continue }
+        errors.push(`${objectPath}.${key}: unknown property`)
+      }
+    }
+    /** index of an axis or a button, or null for inputs not on the gamepad */
+    const checkIndex = (value, valuePath, { allowAxis, allowFalse } = {}) => {
+      if (value === null || typeof value === 'undefined') { return }
+      if (allowFalse && value === false) { return }
+      if (allowAxis && isObject(value)) {
+        checkKeys(value, valuePath, ['axis'])
+        if (!Number.isInteger(value.axis) || value.axis < 0) {
+          expect(`${valuePath}.axis`, 'integer of 0 or above', value.axis)
+        }
+        return
+      }
+      if (!Number.isInteger(value) || value < 0) {
+        expect(valuePath, 'integer of 0 or above', value)
+      }
+    }
+    const checkNumber = (value, valuePath, min, max, { maxExclusive } = {}) => {
+      if (typeof value === 'undefined') { return }
+      if (typeof value !== 'number' || Number.isNaN(value)) {
+        expect(valuePath, 'number', value)
+      } else if (value < min || (maxExclusive ? value >= max : value > max)) {
+        errors.push(
+          `${valuePath}: expected a number from ${min} to ${maxExclusive ? 'below ' : ''}${max}, ` +
+          `got ${value}`
+        )
+      }
+    }
+    
+    if (!isObject(mapping)) {
+      expect(path, 'object', mapping)
+      return errors
+    }
+    checkKeys(mapping, path, ['name', 'properties', 'sticks', 'buttons', 'axisOptions', 'player2'])
+    
+    if (typeof mapping.name !== 'string') {
+      expect(`${path}.name`, 'string', mapping.name)
+    }
+    if (!Array.isArray(mapping.properties)) {
+      expect(`${path}.properties`, 'array', mapping.properties)
+    } else {
+      mapping.properties.forEach((property, p) => {
+        if (typeof property !== 'string') {
+          expect(`${path}.properties.${p}`, 'string', property)
+        }
+      })
+    }
+    
+    // sticks
+    const stickOptions = ['deadzone', ...MappingManager.stickShapingOptions]
+    const checkStickOptions = (object, objectPath) => {
+      // a stick found shaking across the whole range gets a deadzone of 1
+      checkNumber(object.deadzone, `${objectPath}.deadzone`, 0, 1)
+      checkNumber(object.outerDeadzone, `${objectPath}.outerDeadzone`, 0, 1, { maxExclusive: true })
+      checkNumber(object.antiDeadzone, `${objectPath}.antiDeadzone`, 0, 1, { maxExclusive: true })
+      if (
+        typeof object.deadzoneShape !== 'undefined' &&
+        ['axial', 'radial'].indexOf(object.deadzoneShape) === -1
+      ) {
+        errors.push(`${objectPath}.deadzoneShape: expected 'axial' or 'radial', got ${JSON.stringify(object.deadzoneShape)}`)
+      }
+      const curve = object.curve
+      if (
+        typeof curve !== 'undefined' &&
+        !(typeof curve === 'number' && curve > 0) &&
+        !MappingManager.stickCurves.hasOwnProperty(curve)
+      ) {
+        errors.push(
+          `${objectPath}.curve: expected a positive number or one of ` +
+          `${Object.keys(MappingManager.stickCurves).join(', ')}, got ${JSON.stringify(curve)}`
+        )
+      }
+    }
+    if (!isObject(mapping.sticks)) {
+      expect(`${path}.sticks`, 'object', mapping.sticks)
+    } else {
+      const sticksPath = `${path}.sticks`
+      checkKeys(mapping.sticks, sticksPath, ['left', 'right', ...stickOptions])
+      checkStickOptions(mapping.sticks, sticksPath)
+      for (const side of ['left', 'right']) {
+        const stick = mapping.sticks[side]
+        const stickPath = `${sticksPath}.${side}`
+        if (stick === null || typeof stick === 'undefined') { continue }
+        if (!isObject(stick)) {
+          expect(stickPath, 'object or null', stick)
+          continue
+        }
+        checkKeys(stick, stickPath, ['x', 'y', 'button', ...stickOptions])
+        for (const key of ['x', 'y', 'button']) {
+          checkIndex(stick[key], `${stickPath}.${key}`)
+        }
+        checkStickOptions(stick, stickPath)
+      }
+    }
+    
+    // buttons
+    if (!isObject(mapping.buttons)) {
+      expect(`${path}.buttons`, 'object', mapping.buttons)
+    } else {
+      const buttonsPath = `${path}.buttons`
+      const buttonNames = MappingManager.mappingButtonNames
+      checkKeys(mapping.buttons, buttonsPath, ['dpad', ...Object.keys(buttonNames)])
+      
+      const dpad = mapping.buttons.dpad
+      const dpadPath = `${buttonsPath}.dpad`
+      if (dpad === null || typeof dpad === 'undefined') {
+        // no dpad
+      } else if (!isObject(dpad)) {
+        expect(dpadPath, 'object or null', dpad)
+      } else if (dpad.hasOwnProperty('axis')) {
+        // values of directions are those the axis represents
+        const valueKeys = [...MappingManager.axisDpadDirections, 'neutral']
+        checkKeys(dpad, dpadPath, ['axis', 'precision', ...valueKeys])
+        checkIndex(dpad.axis, `${dpadPath}.axis`)
+        if (typeof dpad.precision !== 'undefined' && !(dpad.precision > 0)) {
+          expect(`${dpadPath}.precision`, 'number above 0', dpad.precision)
+        }
+        for (const key of valueKeys) {
+          if (typeof dpad[key] !== 'undefined' && typeof dpad[key] !== 'number') {
+            expect(`${dpadPath}.${key}`, 'number', dpad[key])
+          }
+        }
+      } else {
+        checkKeys(dpad, dpadPath, ['up', 'down', 'left', 'right', 'socd', 'socdHighlight'])
+        for (const key of ['up', 'down', 'left', 'right']) {
+          checkIndex(dpad[key], `${dpadPath}.${key}`)
+        }
+        if (
+          typeof dpad.socd !== 'undefined' &&
+          !MappingManager.socdModes.hasOwnProperty(dpad.socd)
+        ) {
+          errors.push(
+            `${dpadPath}.socd: expected one of ` +
+            `${Object.keys(MappingManager.socdModes).join(', ')}, got ${JSON.stringify(dpad.socd)}`
+          )
+        }
+        if (
+          typeof dpad.socdHighlight !== 'undefined' &&
+          typeof dpad.socdHighlight !== 'boolean'
+        ) {
+          expect(`${dpadPath}.socdHighlight`, 'boolean', dpad.socdHighlight)
+        }
+      }
+      
+      for (const group in buttonNames) {
+        const buttons = mapping.buttons[group]
+        const groupPath = `${buttonsPath}.${group}`
+        if (buttons === null || typeof buttons === 'undefined') { continue }
+        if (!isObject(buttons)) {
+          expect(groupPath, 'object or null', buttons)
+          continue
+        }
+        checkKeys(buttons, groupPath, buttonNames[group])
+        for (const name of buttonNames[group]) {
+          checkIndex(buttons[name], `${groupPath}.${name}`, { allowAxis: true, allowFalse: true })
+        }
+      }
+    }
+    
+    // axisOptions
+    const axisOptions = mapping.axisOptions
+    if (typeof axisOptions !== 'undefined') {
+      const optionsPath = `${path}.axisOptions`
+      if (!isObject(axisOptions)) {
+        expect(optionsPath, 'object', axisOptions)
+      } else {
+        for (const axisIndex in axisOptions) {
+          if (!axisOptions.hasOwnProperty(axisIndex)) { continue }
+          const optionPath = `${optionsPath}.${axisIndex}`
+          const axisOption = axisOptions[axisIndex]
+          if (!/^\d+$/.test(axisIndex)) {
+            errors.push(`${optionPath}: expected an index of an axis as the key`)
+            continue
+          }
+          if (!isObject(axisOption)) {
+            expect(optionPath, 'object', axisOption)
+            continue
+          }
+          checkKeys(axisOption, optionPath, ['invert', 'center', 'min', 'max'])
+          if (
+            typeof axisOption.invert !== 'undefined' &&
+            typeof axisOption.invert !== 'boolean'
+          ) {
+            expect(`${optionPath}.invert`, 'boolean', axisOption.invert)
+          }
+          for (const key of ['center', 'min', 'max']) {
+            checkNumber(axisOption[key], `${optionPath}.${key}`, -1, 1)
+          }
+        }
+      }
+    }
+    
+    // player2
+    const player2 = mapping.player2
+    if (typeof player2 !== 'undefined') {
+      const player2Path = `${path}.player2`
+      if (isObject(player2) && player2.hasOwnProperty('player2')) {
+        errors.push(`${player2Path}.player2: a second player can't have another one`)
+      } else {
+        errors.push(...MappingManager.validateMapping(player2, player2Path))
+      }
+    }
+    
+    return errors
+  }
+  /**
+   * Check every composite device against the shape of {@link compositeDevice}.
+   * @param {*} compositeDevices composite devices by their gamepadIds
+   * @returns {(true|mappingValidationResult)}
+   */
+  static validateCompositeDevices (compositeDevices) {
+    const errors = []
+    if (!compositeDevices || compositeDevices.constructor !== Object) {
+      errors.push(
+        `compositeDevices: expected object, got ${MappingManager.describeType(compositeDevices)}`
+      )
+    } else {
+      for (const compositeId in compositeDevices) {
+        if (!compositeDevices.hasOwnProperty(compositeId)) { continue }
+        errors.push(...MappingManager.validateCompositeDevice(
+          compositeDevices[compositeId], compositeId
+        ))
+      }
+    }
+    
+    if (!errors.length) { return true }
+    return {
+      valid: false,
+      errors: errors
+    }
+  }
+  /**
+   * @param {*} compositeDevice
+   * @param {string} path where the composite device is, to start paths of errors with
+   * @returns {string[]} errors found
+   */
+  static validateCompositeDevice (compositeDevice, path) {
+    const errors = []
+    const type = MappingManager.describeType
+    const isObject = value => Boolean(value) && value.constructor === Object
+    
+    if (!isObject(compositeDevice)) {
+      return [`${path}: expected object, got ${type(compositeDevice)}`]
+    }
+    for (const key in compositeDevice) {
+      if (
+        !compositeDevice.hasOwnProperty(key) ||
+        ['name', 'properties', 'sources'].indexOf(key) !== -1
+      ) { continue }
+      errors.push(`${path}.${key}: unknown property`)
+    }
+    if (typeof compositeDevice.name !== 'string') {
+      errors.push(`${path}.name: expected string, got ${type(compositeDevice.name)}`)
+    }
     if (
-      !mappings ||
-      mappings.constructor !== Object ||
-      Object.keys(mappings).length === 0
+      typeof compositeDevice.properties !== 'undefined' && (
+        !Array.isArray(compositeDevice.properties) ||
+        !compositeDevice.properties.every(property => typeof property === 'string')
+      )
     ) {
-      return {
-        valid: false,
-        isBasicallyObject: false
-      }
-    }
-    const issue = {}
-    let invalidityFound = false
-    for (const gamepadId in mappings) {
-      if (!mappings.hasOwnProperty(gamepadId)) { continue }
-      const isBasicallyObject =
-        mappings[gamepadId].constructor === Object &&
-        Object.keys(mappings[gamepadId]).length > 0
-      const hasInfo =
-        (mappings[gamepadId].hasOwnProperty('name') && mappings[gamepadId].name.constructor === String) &&
-        (mappings[gamepadId].hasOwnProperty('properties') && mappings[gamepadId].properties.constructor === Array)
-      const hasMapping =
-        (mappings[gamepadId].hasOwnProperty('sticks') && mappings[gamepadId].sticks.constructor === Object) &&
-        (mappings[gamepadId].hasOwnProperty('buttons') && mappings[gamepadId].buttons.constructor === Object)
+      errors.push(`${path}.properties: expected array of strings`)
+    }
+    const sources = compositeDevice.sources
+    if (!isObject(sources)) {
+      errors.push(`${path}.sources: expected object, got ${type(sources)}`)
+      return errors
+    }
+    if (Object.keys(sources).length < 2) {
+      errors.push(`${path}.sources: expected at least two devices, got ${Object.keys(sources).length}`)
+    }
+    /** gamepadId of the device feeding each input path */
+    const fedPaths = {}
+    for (const gamepadId in sources) {
+      if (!sources.hasOwnProperty(gamepadId)) { continue }
+      const sourcePath = `${path}.sources.${gamepadId}`
+      if (!Array.isArray(sources[gamepadId])) {
+        errors.push(`${sourcePath}: expected array, got ${type(sources[gamepadId])}`)
+        continue
+      }
+      sources[gamepadId].forEach((inputPath, p) => {
+        if (!MappingManager.isCompositeInputPathValid(inputPath)) {
+          errors.push(`${sourcePath}.${p}: expected a path of an input, got ${JSON.stringify(inputPath)}`)
+          return
+        }
+        // a group and a button in it can't be fed by different devices either
+        const fedPath = Object.keys(fedPaths).find(fedPath =>
+          fedPath === inputPath ||
+          fedPath.startsWith(`${inputPath}.`) ||
+          inputPath.startsWith(`${fedPath}.`)
+        )
+        if (fedPath) {
+          errors.push(`${sourcePath}.${p}: '${inputPath}' is already fed by ${fedPaths[fedPath]}`)
+          return
+        }
+        fedPaths[inputPath] = gamepadId
+      })
+    }
+    return errors
+  }
+  /**
+   * @param {*} inputPath
+   * @returns {boolean} true if it's an input a device of a composite device can feed
+   * @see compositeDevice
+   */
+  static isCompositeInputPathValid (inputPath) {
+    if (typeof inputPath !== 'string') { return false }
+    const [part, group, button, ...rest] = inputPath.split('.')
+    if (rest.length) { return false }
+    if (part === 'sticks') {
+      return ['left', 'right'].indexOf(group) !== -1 && typeof button === 'undefined'
+    }
+    if (part !== 'buttons') { return false }
+    // directions of a dpad are taken together, for the stick style state of it
+    if (group === 'dpad') { return typeof button === 'undefined' }
+    const buttonNames = MappingManager.mappingButtonNames[group]
+    return Boolean(buttonNames) &&
+      (typeof button === 'undefined' || buttonNames.indexOf(button) !== -1)
+  }
+  
+  /**
+   * names of buttons in each group of `buttons` on a mapping, except dpad
+   * @type {Object.<string, string[]>}
+   */
+  static get mappingButtonNames () {
+    return {
+      face: [
+        'down', 'right', 'left', 'up', 'select', 'start', 'l3', 'r3', 'home', 'touchpad'
+      ],
+      shoulder: ['l1', 'r1', 'l2', 'r2'],
+      extra: [
+        'paddle1', 'paddle2', 'paddle3', 'paddle4', 'capture',
+        'fn1', 'fn2', 'turbo', 'extra1', 'extra2'
+      ]
+    }
+  }
+  
+  /**
+   * @typedef {Object} sdlInput
+   * @description an input given to an element of an SDL mapping, like `b0`, `-a2`, or `h0.4`
+   * @property {string} type 'button', 'axis', or 'hat'
+   * @property {number} index
+   * @property {string} half '+' or '-' for a half of an axis, or an empty string
+   * @property {boolean} invert true if the axis is inverted with `~`
+   * @property {number} [hatMask] direction of a hat, 1 for up, 2 for right, 4 for down, 8 for left
+   */
+  /**
+   * inputs of a mapping each element of an SDL mapping goes to
+   * @type {Object.<string, logicalInputName>}
+   */
+  static get sdlButtonElements () {
+    return {
+      a: 'face.down', b: 'face.right', x: 'face.left', y: 'face.up',
+      back: 'face.select', start: 'face.start', guide: 'face.home',
+      leftstick: 'face.l3', rightstick: 'face.r3', touchpad: 'face.touchpad',
+      leftshoulder: 'shoulder.l1', rightshoulder: 'shoulder.r1',
+      lefttrigger: 'shoulder.l2', righttrigger: 'shoulder.r2',
+      paddle1: 'extra.paddle1', paddle2: 'extra.paddle2',
+      paddle3: 'extra.paddle3', paddle4: 'extra.paddle4', misc1: 'extra.capture',
+      dpup: 'dpad.up', dpright: 'dpad.right', dpdown: 'dpad.down', dpleft: 'dpad.left'
+    }
+  }
+  /**
+   * axes of sticks each element of an SDL mapping goes to
+   * @type {Object.<string, string>}
+   */
+  static get sdlStickElements () {
+    return {
+      leftx: 'left.x', lefty: 'left.y', rightx: 'right.x', righty: 'right.y'
+    }
+  }
+  /**
+   * directions of the first hat, which are what SDL gives for dpads of DInput gamepads
+   * @type {Object.<string, number>}
+   */
+  static get sdlHatMasks () {
+    return { up: 1, right: 2, down: 4, left: 8 }
+  }
+  /**
+   * Read `gamepadId` from the GUID of an SDL mapping.
+   * @param {string} guid
+   * @returns {?gamepadId} null if the GUID doesn't have vendor and product IDs
+   */
+  static getGamepadIdFromSDLGUID (guid) {
+    const hex = guid.toLowerCase()
+    if (!/^[0-9a-f]{32}$/.test(hex)) { return null }
+    // IDs are stored in little endian
+    const readId = start => hex.slice(start + 2, start + 4) + hex.slice(start, start + 2)
+    // older GUIDs of DInput gamepads end with 'PIDVID'
+    if (hex.slice(20) === '504944564944') {
+      return readId(0) + readId(4)
+    }
+    if (hex.slice(12, 16) !== '0000' || hex.slice(20, 24) !== '0000') { return null }
+    return readId(8) + readId(16)
+  }
+  /**
+   * Make a GUID of an SDL mapping for a USB gamepad of any version.
+   * @param {gamepadId} gamepadId
+   * @returns {?string} null if the gamepadId doesn't have vendor and product IDs
+   */
+  static makeSDLGUID (gamepadId) {
+    if (!/^[0-9a-f]{8}$/.test(gamepadId)) { return null }
+    const writeId = id => id.slice(2, 4) + id.slice(0, 2)
+    return '03000000' + writeId(gamepadId.slice(0, 4)) + '0000' +
+      writeId(gamepadId.slice(4, 8)) + '000000000000'
+  }
+  /**
+   * @param {string} text
+   * @returns {?sdlInput} null if the text is not an input
+   */
+  static parseSDLInput (text) {
+    const matchResult = text.match(/^([+-]?)([abh])(\d+)(?:\.(\d+))?(~?)$/)
+    if (!matchResult) { return null }
+    const [, half, typeLetter, index, hatMask, invert] = matchResult
+    const type = { a: 'axis', b: 'button', h: 'hat' }[typeLetter]
+    if ((type === 'hat') !== (typeof hatMask !== 'undefined')) { return null }
+    return {
+      type: type,
+      index: Number(index),
+      half: half,
+      invert: invert === '~',
+      hatMask: type === 'hat' ? Number(hatMask) : undefined
+    }
+  }
+  /**
+   * Convert a line of an SDL mapping, like those in `gamecontrollerdb.txt`.
+   *
+   * SDL reads a hat for the dpad of a DInput gamepad,
+   * which browsers give as an axis of {@link MappingManager.sdlHatAxis}.
+   * @param {string} line
+   * @param {string} [platform] lines for other platforms are ignored
+   * @returns {?{gamepadId: gamepadId, mapping: gamepadMapping, notes: string[]}}
+   * null if the line is for another platform
+   * @throws {Error} if the line can't be converted
+   */
+  static convertSDLMapping (line, platform = MappingManager.sdlPlatform) {
+    const fields = line.split(',').map(field => field.trim()).filter(field => field)
+    const [guid, name, ...elements] = fields
+    const gamepadId = MappingManager.getGamepadIdFromSDLGUID(guid || '')
+    if (!gamepadId) {
+      throw new Error(`'${guid}' is not a GUID with the vendor and product IDs of a gamepad.`)
+    }
+    
+    const notes = []
+    /** @type {gamepadMapping} */
+    const mapping = {
+      name: name || gamepadId,
+      properties: [],
+      sticks: {
+        deadzone: MappingManager.sdlStickDeadzone,
+        left: null,
+        right: null
+      },
+      buttons: {
+        dpad: null,
+        face: {},
+        shoulder: {},
+        extra: {}
+      }
+    }
+    /** @type {Object.<string, sdlInput>} */
+    const dpadInputs = {}
+    /**
+     * options of axes made into buttons as JSON, by their indexes
+     * @type {Object.<number, string>}
+     */
+    const axisButtonOptions = {}
+    for (const element of elements) {
+      const [key, value = ''] = element.split(':')
+      if (key === 'platform') {
+        if (platform && value !== platform) { return null }
+        continue
+      }
+      // other fields telling which devices the line is for
+      if (['crc', 'hint', 'sdk>=', 'sdk<='].indexOf(key) !== -1) { continue }
+      
+      const input = MappingManager.parseSDLInput(value)
+      const stickElement = MappingManager.sdlStickElements[key]
+      const buttonElement = MappingManager.sdlButtonElements[key]
+      if (!stickElement && !buttonElement) {
+        notes.push(`${key} is not supported.`)
+        continue
+      }
+      if (!input) {
+        notes.push(`${key}: '${value}' is not an input.`)
+        continue
+      }
+      
+      if (stickElement) {
+        const [side, axisName] = stickElement.split('.')
+        if (input.type !== 'axis') {
+          notes.push(`${key}: a stick can only be made from axes.`)
+          continue
+        }
+        if (!mapping.sticks[side]) {
+          mapping.sticks[side] = { x: null, y: null, button: null }
+        }
+        mapping.sticks[side][axisName] = input.index
+        if (input.invert) {
+          MappingManager.setAxisOption(mapping, input.index, { invert: true })
+        }
+        continue
+      }
       
-      issue[gamepadId] = {
-        valid: isBasicallyObject && hasInfo && hasMapping,
-        isBasicallyObject,
-        hasInfo,
-        hasMapping
+      const [group, buttonName] = buttonElement.split('.')
+      if (group === 'dpad') {
+        dpadInputs[buttonName] = input
+        continue
+      }
+      if (input.type === 'button') {
+        mapping.buttons[group][buttonName] = input.index
+      } else if (input.type === 'axis') {
+        // make the axis go from 0 when released to 1 when pressed
+        const axisOption = {}
+        if (!input.half) {
+          axisOption.center = input.invert ? 1 : -1
+        }
+        if (input.half === '-' ? !input.invert : input.invert) {
+          axisOption.invert = true
+        }
+        // halves of an axis can't be two buttons, as options are for a whole axis
+        const axisOptionText = JSON.stringify(axisOption)
+        if (
+          axisButtonOptions.hasOwnProperty(input.index) &&
+          axisButtonOptions[input.index] !== axisOptionText
+        ) {
+          notes.push(`${key}: the axis ${input.index} is already used as another button.`)
+          continue
+        }
+        axisButtonOptions[input.index] = axisOptionText
+        mapping.buttons[group][buttonName] = { axis: input.index }
+        MappingManager.setAxisOption(
+          mapping, input.index, Object.keys(axisOption).length ? axisOption : null
+        )
+      } else {
+        notes.push(`${key}: a button can't be made from a hat.`)
+      }
+    }
+    
+    for (const side of ['left', 'right']) {
+      const stick = mapping.sticks[side]
+      if (!stick) { continue }
+      if (stick.x === null || stick.y === null) {
+        notes.push(`The ${side} stick is left out, as one of its axes is not given.`)
+        mapping.sticks[side] = null
+        continue
       }
+      const stickButton = mapping.buttons.face[side === 'left' ? 'l3' : 'r3']
+      if (Number.isInteger(stickButton)) { stick.button = stickButton }
     }
     
-    for (const gamepadId in issue) {
-      if (!issue.hasOwnProperty(gamepadId)) { continue }
-      if (!issue[gamepadId].valid) {
-        invalidityFound = true
-        break
+    const dpadInputList = Object.values(dpadInputs)
+    const hatMasks = MappingManager.sdlHatMasks
+    if (!dpadInputList.length) {
+      // no dpad
+    } else if (dpadInputList.every(input => input.type === 'button')) {
+      mapping.buttons.dpad = { up: null, down: null, left: null, right: null }
+      for (const direction in dpadInputs) {
+        mapping.buttons.dpad[direction] = dpadInputs[direction].index
       }
+    } else if (
+      dpadInputList.length === 4 &&
+      Object.keys(dpadInputs).every(direction => {
+        const input = dpadInputs[direction]
+        return input.type === 'hat' && input.index === 0 &&
+          input.hatMask === hatMasks[direction]
+      })
+    ) {
+      mapping.buttons.dpad = { axis: MappingManager.sdlHatAxis }
+      mapping.properties.push('axisdpad')
+    } else {
+      notes.push('The dpad is left out, as it is not made of buttons or the first hat.')
+    }
+    if (!Object.keys(mapping.buttons.extra).length) {
+      delete mapping.buttons.extra
     }
     
-    if (!invalidityFound) { return true }
-    else {
-      return issue
+    return {
+      gamepadId: gamepadId,
+      mapping: mapping,
+      notes: notes
+    }
+  }
+  /**
+   * Make a line of an SDL mapping from a mapping.
+   * @param {gamepadId} gamepadId
+   * @param {gamepadMapping} mapping
+   * @returns {?{line: string, notes: string[]}}
+   * null if the gamepadId doesn't have vendor and product IDs
+   */
+  static makeSDLMappingLine (gamepadId, mapping) {
+    const guid = MappingManager.makeSDLGUID(gamepadId)
+    if (!guid) { return null }
+    
+    const notes = []
+    const axisOptions = mapping.axisOptions || {}
+    const elements = []
+    /**
+     * @param {(number|{axis: number}|boolean|null)} mappingButton
+     * @returns {?string}
+     */
+    const describeButton = mappingButton => {
+      if (Number.isInteger(mappingButton)) { return `b${mappingButton}` }
+      if (!mappingButton || !Number.isInteger(mappingButton.axis)) { return null }
+      const axisIndex = mappingButton.axis
+      const axisOption = axisOptions[axisIndex] || {}
+      // an axis resting at either end is given as a whole
+      if (Math.abs(axisOption.center || 0) >= 0.5) {
+        return `a${axisIndex}${axisOption.center > 0 ? '~' : ''}`
+      }
+      return `${axisOption.invert ? '-' : '+'}a${axisIndex}`
+    }
+    
+    const sdlButtonElements = MappingManager.sdlButtonElements
+    for (const key in sdlButtonElements) {
+      const [group, buttonName] = sdlButtonElements[key].split('.')
+      if (group === 'dpad') { continue }
+      const buttons = mapping.buttons[group]
+      let mappingButton = buttons ? buttons[buttonName] : null
+      if (
+        (mappingButton === null || typeof mappingButton === 'undefined') &&
+        (key === 'leftstick' || key === 'rightstick')
+      ) {
+        const stick = mapping.sticks[key === 'leftstick' ? 'left' : 'right']
+        mappingButton = stick ? stick.button : null
+      }
+      const input = describeButton(mappingButton)
+      if (input) { elements.push(`${key}:${input}`) }
+    }
+    
+    const sdlStickElements = MappingManager.sdlStickElements
+    for (const key in sdlStickElements) {
+      const [side, axisName] = sdlStickElements[key].split('.')
+      const stick = mapping.sticks[side]
+      if (!stick || !Number.isInteger(stick[axisName])) { continue }
+      const axisOption = axisOptions[stick[axisName]] || {}
+      elements.push(`${key}:a${stick[axisName]}${axisOption.invert ? '~' : ''}`)
+    }
+    
+    const dpad = mapping.buttons.dpad
+    if (dpad && dpad.hasOwnProperty('axis')) {
+      if (dpad.axis === MappingManager.sdlHatAxis) {
+        const hatMasks = MappingManager.sdlHatMasks
+        for (const direction in hatMasks) {
+          elements.push(`dp${direction}:h0.${hatMasks[direction]}`)
+        }
+      } else {
+        notes.push(`The dpad is left out, as the axis ${dpad.axis} is not a hat.`)
+      }
+    } else if (dpad) {
+      for (const direction of ['up', 'right', 'down', 'left']) {
+        if (Number.isInteger(dpad[direction])) {
+          elements.push(`dp${direction}:b${dpad[direction]}`)
+        }
+      }
+    }
+    
+    elements.sort()
+    // commas separate fields
+    const name = mapping.name.replace(/,/g, '')
+    return {
+      line: `${guid},${name},${elements.join(',')},platform:${MappingManager.sdlPlatform},`,
+      notes: notes
     }
   }
   
@@ -278,9 +1291,10 @@ class MappingManager {
       stickMapping &&
       stickMapping.x !== null && stickMapping.y !== null
     ) {
+      // an unchanged axis is given as null
       return Math.max(
-        Math.abs(changeAxes[stickMapping.x].value),
-        Math.abs(changeAxes[stickMapping.y].value)
+        changeAxes[stickMapping.x] ? Math.abs(changeAxes[stickMapping.x].value) : 0,
+        changeAxes[stickMapping.y] ? Math.abs(changeAxes[stickMapping.y].value) : 0
       )
     }
   
@@ -302,6 +1316,123 @@ class MappingManager {
     deadzone = Math.ceil(deadzone * expShift) / expShift
     return Math.min(1.00, deadzone)
   }
+  /**
+   * Turn a raw value of an axis into one centered at 0, going from -1 to 1.
+   * @param {number} value
+   * @param {?axisOption} [axisOption] the value is returned as is if not given
+   * @returns {number}
+   */
+  static normalizeAxisValue (value, axisOption) {
+    if (!axisOption || typeof value !== 'number') { return value }
+    const center = typeof axisOption.center === 'number' ? axisOption.center : 0
+    const min = typeof axisOption.min === 'number' ? axisOption.min : -1
+    const max = typeof axisOption.max === 'number' ? axisOption.max : 1
+    
+    let normalized = 0
+    if (value > center && max > center) {
+      normalized = (value - center) / (max - center)
+    } else if (value < center && center > min) {
+      normalized = (value - center) / (center - min)
+    }
+    normalized = Math.max(-1, Math.min(1, normalized))
+    // avoid making -0
+    return axisOption.invert && normalized !== 0 ? -normalized : normalized
+  }
+  /**
+   * Apply axis options to axis changes.
+   * @param {?axisChange[]} changeAxes
+   * @param {?Object.<number, axisOption>} axisOptions
+   * @returns {?axisChange[]} the same array if there's no option to apply
+   */
+  static applyAxisOptions (changeAxes, axisOptions) {
+    if (!changeAxes || !axisOptions) { return changeAxes }
+    return changeAxes.map((v, a) => {
+      if (!v || !axisOptions[a]) { return v }
+      const value = MappingManager.normalizeAxisValue(v.value, axisOptions[a])
+      const previousValue =
+        MappingManager.normalizeAxisValue(v.value - v.delta, axisOptions[a])
+      return Object.assign({}, v, { value: value, delta: value - previousValue })
+    })
+  }
+  /**
+   * Follow an axis assigned in the current step until it's released,
+   * to find how far it reaches, then finish the step.
+   * @param {assignmentState} assignmentState
+   * @param {GamepadChange} gamepadChange
+   * @returns {boolean} true if the axis is released and the step is finished
+   */
+  static followAxisReach (assignmentState, gamepadChange) {
+    const data = assignmentState.data
+    const axisReach = data.axisReach
+    const axisChange = gamepadChange.axes[axisReach.axis]
+    if (!axisChange) { return false }
+    
+    const direction = Math.sign(axisReach.farthest - axisReach.rest)
+    const distance = (axisChange.value - axisReach.rest) * direction
+    if (distance > (axisReach.farthest - axisReach.rest) * direction) {
+      axisReach.farthest = axisChange.value
+    }
+    // released as close to the rest as an axis is found from
+    if (distance > 0.1) { return false }
+    
+    const axisRange = MappingManager.detectAxisRange(axisReach.rest, axisReach.farthest)
+    if (axisRange) {
+      const axisOptions = data.mapping.axisOptions || {}
+      MappingManager.setAxisOption(
+        data.mapping, axisReach.axis,
+        Object.assign({}, axisOptions[axisReach.axis], axisRange)
+      )
+    }
+    data.history.push(axisReach.stepBefore)
+    data.undone = []
+    delete data.axisReach
+    assignmentState.index++
+    return true
+  }
+  /**
+   * Find where an axis ends from the farthest value it's pushed to,
+   * for axes falling short of the end, like worn sticks or short pedals.
+   * @param {number} restValue
+   * @param {number} farthestValue
+   * @returns {?axisOption} `min` or `max` of the axis, null if it reaches the end
+   */
+  static detectAxisRange (restValue, farthestValue) {
+    if (Math.abs(farthestValue) >= MappingManager.axisFullReach) { return null }
+    const value = Math.round(farthestValue * 100) / 100
+    return farthestValue > restValue ? { max: value } : { min: value }
+  }
+  /**
+   * Guess an axis option from values of an axis at rest and when pushed.
+   * @param {number} restValue
+   * @param {number} pushedValue value when pushed to the positive direction
+   * @returns {?axisOption} null if the axis can be read as it is
+   */
+  static detectAxisOption (restValue, pushedValue) {
+    const axisOption = {}
+    // sticks are a bit off the center at rest, that's for the deadzone
+    if (Math.abs(restValue) > 0.2 && Math.abs(restValue) <= 1) {
+      axisOption.center = Math.round(restValue * 100) / 100
+    }
+    if (pushedValue < restValue) {
+      axisOption.invert = true
+    }
+    return Object.keys(axisOption).length ? axisOption : null
+  }
+  /**
+   * Put or remove the option for the axis on the mapping.
+   * @param {gamepadMapping} mapping
+   * @param {number} axisIndex
+   * @param {?axisOption} axisOption
+   */
+  static setAxisOption (mapping, axisIndex, axisOption) {
+    if (axisOption) {
+      if (!mapping.axisOptions) { mapping.axisOptions = {} }
+      mapping.axisOptions[axisIndex] = axisOption
+    } else if (mapping.axisOptions) {
+      delete mapping.axisOptions[axisIndex]
+      if (!Object.keys(mapping.axisOptions).length) { delete mapping.axisOptions }
+    }
+  }
   static get everyButtonInfo () {
     return [
       {
@@ -496,58 +1627,492 @@ class MappingManager {
           }
           m.buttons.face.r3 = i
         }
+      },
+      {
+        label: 'paddle 1',
+        group: 'buttons',
+        virtualInput: { "extra": { "paddle1": { "value": 1 } } },
+        mapInput: (m, i) => {m.buttons.extra.paddle1 = i},
+        nullInput: m => {m.buttons.extra = null}
+      },
+      {
+        label: 'paddle 2',
+        group: 'buttons',
+        virtualInput: { "extra": { "paddle2": { "value": 1 } } },
+        mapInput: (m, i) => {m.buttons.extra.paddle2 = i}
+      },
+      {
+        label: 'paddle 3',
+        group: 'buttons',
+        virtualInput: { "extra": { "paddle3": { "value": 1 } } },
+        mapInput: (m, i) => {m.buttons.extra.paddle3 = i}
+      },
+      {
+        label: 'paddle 4',
+        group: 'buttons',
+        virtualInput: { "extra": { "paddle4": { "value": 1 } } },
+        mapInput: (m, i) => {m.buttons.extra.paddle4 = i}
+      },
+      {
+        label: 'capture',
+        group: 'buttons',
+        virtualInput: { "extra": { "capture": { "value": 1 } } },
+        mapInput: (m, i) => {m.buttons.extra.capture = i}
+      },
+      {
+        label: 'function 1',
+        group: 'buttons',
+        virtualInput: { "extra": { "fn1": { "value": 1 } } },
+        mapInput: (m, i) => {m.buttons.extra.fn1 = i}
+      },
+      {
+        label: 'function 2',
+        group: 'buttons',
+        virtualInput: { "extra": { "fn2": { "value": 1 } } },
+        mapInput: (m, i) => {m.buttons.extra.fn2 = i}
+      },
+      {
+        label: 'turbo',
+        group: 'buttons',
+        virtualInput: { "extra": { "turbo": { "value": 1 } } },
+        mapInput: (m, i) => {m.buttons.extra.turbo = i}
+      },
+      {
+        label: 'extra 1',
+        group: 'buttons',
+        virtualInput: { "extra": { "extra1": { "value": 1 } } },
+        mapInput: (m, i) => {m.buttons.extra.extra1 = i}
+      },
+      {
+        label: 'extra 2',
+        group: 'buttons',
+        virtualInput: { "extra": { "extra2": { "value": 1 } } },
+        mapInput: (m, i) => {m.buttons.extra.extra2 = i}
       }
     ]
   }
-  static get everyButtonIndex () {
-    return {
-      'face': { 'down': 0, 'right': 1, 'up': 2, 'left': 3 },
-      'dpad': { 'down': 4, 'left': 5, 'up': 6, 'right': 7 },
-      'l1': 8,
-      'r1': 9,
-      'l2': 10,
-      'r2': 11,
-      'select': 12,
-      'start': 13,
-      'home': 14,
-      'touchpad': 15,
-      'stick': {
-        'left': { 'x': 16, 'y': 17, 'button': 18 },
-        'right': { 'x': 19, 'y': 20, 'button': 21 }
-      }
+  static get everyButtonIndex () {
+    return {
+      'face': { 'down': 0, 'right': 1, 'up': 2, 'left': 3 },
+      'dpad': { 'down': 4, 'left': 5, 'up': 6, 'right': 7 },
+      'l1': 8,
+      'r1': 9,
+      'l2': 10,
+      'r2': 11,
+      'select': 12,
+      'start': 13,
+      'home': 14,
+      'touchpad': 15,
+      'stick': {
+        'left': { 'x': 16, 'y': 17, 'button': 18 },
+        'right': { 'x': 19, 'y': 20, 'button': 21 }
+      },
+      'extra': {
+        'paddle1': 22, 'paddle2': 23, 'paddle3': 24, 'paddle4': 25, 'capture': 26,
+        'fn1': 27, 'fn2': 28, 'turbo': 29, 'extra1': 30, 'extra2': 31
+      }
+    }
+  }
+  
+  /**
+   * @typedef {Object} assignmentTarget
+   * @description a part of `everyButtonInfo` to assign, without the rest.
+   * @property {string} label
+   * @property {number} first index of the first input to assign
+   * @property {number} last index of the last input to assign
+   */
+  /**
+   * Inputs and groups of inputs that can be assigned again by themselves.
+   * @type {Object.<string, assignmentTarget>}
+   */
+  static get assignmentTargets () {
+    const buttonIndex = MappingManager.everyButtonIndex
+    const everyButtonInfo = MappingManager.everyButtonInfo
+    const targets = {
+      face: {
+        label: 'face buttons',
+        first: buttonIndex.face.down, last: buttonIndex.face.left
+      },
+      dpad: {
+        label: 'dpad',
+        first: buttonIndex.dpad.down, last: buttonIndex.dpad.right
+      },
+      shoulder: {
+        label: 'shoulder buttons',
+        first: buttonIndex.l1, last: buttonIndex.r2
+      },
+      leftStick: {
+        label: 'left stick',
+        first: buttonIndex.stick.left.x, last: buttonIndex.stick.left.button
+      },
+      rightStick: {
+        label: 'right stick',
+        first: buttonIndex.stick.right.x, last: buttonIndex.stick.right.button
+      },
+      extra: {
+        label: 'extra buttons',
+        first: buttonIndex.extra.paddle1, last: buttonIndex.extra.extra2
+      }
+    }
+    const singleInputs = {
+      'face.down': buttonIndex.face.down,
+      'face.right': buttonIndex.face.right,
+      'face.up': buttonIndex.face.up,
+      'face.left': buttonIndex.face.left,
+      'shoulder.l1': buttonIndex.l1,
+      'shoulder.r1': buttonIndex.r1,
+      'shoulder.l2': buttonIndex.l2,
+      'shoulder.r2': buttonIndex.r2,
+      'face.select': buttonIndex.select,
+      'face.start': buttonIndex.start,
+      'face.home': buttonIndex.home,
+      'face.touchpad': buttonIndex.touchpad
+    }
+    for (const name in buttonIndex.extra) {
+      singleInputs[`extra.${name}`] = buttonIndex.extra[name]
+    }
+    for (const targetName in singleInputs) {
+      const index = singleInputs[targetName]
+      targets[targetName] = {
+        label: everyButtonInfo[index].label, first: index, last: index
+      }
+    }
+    return targets
+  }
+  
+  /**
+   * Start assigning inputs of the gamepad in the slot,
+   * or stop it if it's already going.
+   *
+   * @param {number} gamepadIndex
+   * @param {string} name name for a new mapping
+   * @param {gamepadId} gamepadId
+   * @param {Object} [options]
+   * @param {?string} [options.only]
+   * a key of {@link MappingManager.assignmentTargets} to assign just that,
+   * keeping the rest of the mapping the gamepad is using.
+   * Every input is assigned if not given.
+   */
+  startAssignment (gamepadIndex, name, gamepadId, { only } = {}) {
+    if (this.assignmentState[gamepadIndex].ongoing) {
+      // called again while assignment is going, cancel the process
+      this.assignmentState[gamepadIndex].result = 'force-abort'
+      return
+    }
+    const target = only ? MappingManager.assignmentTargets[only] : null
+    const existingMapping = this.mappings[this.getMappedGamepadId(gamepadId)]
+    if (only && (!target || !existingMapping)) {
+      MappingManager.announceMessage(new Error(
+        target ?
+          `There's no mapping for ${name} to assign ${target.label} to.` :
+          `'${only}' is not an input that can be assigned by itself.`
+      ))
+      return
+    }
+    
+    const mapping = target ?
+      MappingManager.prepareForReassignment(
+        existingMapping, target.first, target.last,
+        // a gamepad using a mapping of others gets its own one
+        this.mappings[gamepadId] ? existingMapping.name : name
+      ) : {
+        name: name,
+        properties: [],
+        sticks: {
+          left: {},
+          right: {}
+        },
+        buttons: {
+          dpad: {},
+          face: {},
+          shoulder: {},
+          extra: {}
+        }
+      }
+    
+    this.assignmentState[gamepadIndex].ongoing = true
+    this.assignmentState[gamepadIndex].index = -1
+    this.assignmentState[gamepadIndex].result = null
+    // reference to this property won't be kept
+    this.assignmentState[gamepadIndex].data = {
+      gamepadId: gamepadId,
+      /**
+       * inputs to assign, as indexes of `everyButtonInfo`.
+       * `everyButtonInfo.length` is for the joystick question.
+       */
+      range: target ? {
+        label: target.label, first: target.first, last: target.last
+      } : {
+        label: null, first: 0, last: MappingManager.everyButtonInfo.length
+      },
+      // inputs kept on the mapping can't be taken again
+      occupied: target ?
+        MappingManager.getOccupiedInputs(mapping, target.first, target.last) :
+        { axes: [], buttons: [] },
+      /**
+       * steps made so far, to go back to
+       * @type {assignmentStep[]}
+       */
+      history: [],
+      /**
+       * steps gone back from, to redo
+       * @type {assignmentStep[]}
+       */
+      undone: [],
+      mapping: mapping
+    }
+  }
+  /**
+   * Find axes and buttons a mapping keeps while some of its inputs are assigned again.
+   * @param {gamepadMapping} mapping
+   * @param {number} first index of `everyButtonInfo` to be assigned first
+   * @param {number} last index of `everyButtonInfo` to be assigned last
+   * @returns {{axes: number[], buttons: number[]}}
+   */
+  static getOccupiedInputs (mapping, first, last) {
+    const everyButtonInfo = MappingManager.everyButtonInfo
+    const keptMapping = JSON.parse(JSON.stringify(mapping))
+    for (let index = first; index <= last && index < everyButtonInfo.length; index++) {
+      everyButtonInfo[index].mapInput(keptMapping, null)
+    }
+    
+    const occupied = { axes: [], buttons: [] }
+    const occupy = (group, index) => {
+      if (Number.isInteger(index) && occupied[group].indexOf(index) === -1) {
+        occupied[group].push(index)
+      }
+    }
+    for (const side of ['left', 'right']) {
+      const stick = keptMapping.sticks ? keptMapping.sticks[side] : null
+      if (!stick) { continue }
+      occupy('axes', stick.x)
+      occupy('axes', stick.y)
+      occupy('buttons', stick.button)
+    }
+    const dpad = keptMapping.buttons.dpad
+    if (dpad && typeof dpad.axis === 'number') {
+      occupy('axes', dpad.axis)
+    } else if (dpad) {
+      for (const direction of ['up', 'down', 'left', 'right']) {
+        occupy('buttons', dpad[direction])
+      }
+    }
+    for (const group in MappingManager.mappingButtonNames) {
+      const buttons = keptMapping.buttons[group]
+      if (!buttons) { continue }
+      for (const name in buttons) {
+        const input = buttons[name]
+        if (input && typeof input === 'object') {
+          occupy('axes', input.axis)
+        } else {
+          occupy('buttons', input)
+        }
+      }
+    }
+    return occupied
+  }
+  /**
+   * @typedef {Object} assignmentStep
+   * @description state of an assignment at a step, to return to it later.
+   * @property {number} index
+   * @property {{axes: number[], buttons: number[]}} occupied
+   * @property {gamepadMapping} mapping
+   */
+  /**
+   * @param {assignmentState} assignmentState
+   * @returns {assignmentStep}
+   */
+  static makeAssignmentStep (assignmentState) {
+    return {
+      index: assignmentState.index,
+      occupied: JSON.parse(JSON.stringify(assignmentState.data.occupied)),
+      mapping: JSON.parse(JSON.stringify(assignmentState.data.mapping))
+    }
+  }
+  /**
+   * Go back to the step before the last input,
+   * or redo the step gone back from.
+   * @param {number} gamepadIndex
+   * @param {number} direction `-1` to go back, `1` to redo
+   * @returns {boolean} `false` if there's no step to move to
+   */
+  moveAssignmentStep (gamepadIndex, direction) {
+    const assignmentState = this.assignmentState[gamepadIndex]
+    if (
+      !assignmentState.ongoing || assignmentState.result !== null ||
+      !assignmentState.data
+    ) { return false }
+    const data = assignmentState.data
+    const from = direction < 0 ? data.history : data.undone
+    const to = direction < 0 ? data.undone : data.history
+    if (!from.length) { return false }
+    
+    to.push(MappingManager.makeAssignmentStep(assignmentState))
+    const step = from.pop()
+    assignmentState.index = step.index
+    data.occupied = step.occupied
+    data.mapping = step.mapping
+    delete data.dpadCalibration
+    delete data.axisReach
+    return true
+  }
+  /**
+   * Go back a step of the assignment in the slot, and ask for the input again.
+   * For the control panel, when the gamepad can't be used for it.
+   * @param {number} gamepadIndex
+   * @returns {boolean}
+   */
+  stepBackAssignment (gamepadIndex) {
+    if (!this.moveAssignmentStep(gamepadIndex, -1)) { return false }
+    this.announceAssignmentPrompt(gamepadIndex)
+    return true
+  }
+  /**
+   * Redo a step of the assignment in the slot gone back from.
+   * @param {number} gamepadIndex
+   * @returns {boolean}
+   */
+  redoAssignment (gamepadIndex) {
+    if (!this.moveAssignmentStep(gamepadIndex, 1)) { return false }
+    this.announceAssignmentPrompt(gamepadIndex)
+    return true
+  }
+  /**
+   * Show the guide for the current step of the assignment,
+   * without waiting for the gamepad to make a change.
+   * @param {number} gamepadIndex
+   * @fires MappingManager#processedGamepadChange
+   */
+  announceAssignmentPrompt (gamepadIndex) {
+    const data = this.assignmentState[gamepadIndex].data
+    if (!data || !data.id) { return }
+    
+    const processedChanges = { length: this.maxGamepads }
+    for (let i = 0; i < this.maxGamepads; i++) {
+      processedChanges[i] = null
     }
+    const processedChange = processedChanges[gamepadIndex] = {
+      id: data.id,
+      timestamp: performance.now(),
+      sticks: {},
+      buttons: {}
+    }
+    this.assign(gamepadIndex, { axes: [], buttons: [] }, processedChange)
+    MappingManager.announceGamepadChange(processedChanges)
   }
-  
-  startAssignment (gamepadIndex, name, gamepadId) {
-    if (this.assignmentState[gamepadIndex].ongoing) {
-      // called again while assignment is going, cancel the process
-      this.assignmentState[gamepadIndex].result = 'force-abort'
-      return
+  /**
+   * Copy the mapping, and clear the part of it that's going to be assigned,
+   * so the copy can be filled the same way a new mapping is.
+   * @param {gamepadMapping} mapping
+   * @param {number} first
+   * @param {number} last
+   * @param {string} name name for the copy
+   * @returns {gamepadMapping}
+   */
+  static prepareForReassignment (mapping, first, last, name) {
+    const copy = JSON.parse(JSON.stringify(mapping))
+    copy.name = name
+    const buttonIndex = MappingManager.everyButtonIndex
+    const includes = index => first <= index && index <= last
+    const removeProperty = property => {
+      const propertyIndex = copy.properties.indexOf(property)
+      if (propertyIndex !== -1) { copy.properties.splice(propertyIndex, 1) }
     }
-    this.assignmentState[gamepadIndex].ongoing = true
-    this.assignmentState[gamepadIndex].index = -1
-    this.assignmentState[gamepadIndex].result = null
-    // reference to this property won't be kept
-    this.assignmentState[gamepadIndex].data = {
-      gamepadId: gamepadId,
-      occupied: {
-        axes: [],
-        buttons: []
-      },
-      mapping: {
-        name: name,
-        properties: [],
-        sticks: {
-          left: {},
-          right: {}
-        },
-        buttons: {
-          dpad: {},
-          face: {},
-          shoulder: {}
-        }
+    // axes to be assigned again will be read as they are until they're found
+    const forgetAxisOption = axisIndex => {
+      if (typeof axisIndex === 'number') {
+        MappingManager.setAxisOption(copy, axisIndex, null)
       }
     }
+    
+    if (!copy.sticks) { copy.sticks = {} }
+    if (!copy.buttons.face) { copy.buttons.face = {} }
+    if (!copy.buttons.shoulder) { copy.buttons.shoulder = {} }
+    if (!copy.buttons.extra) { copy.buttons.extra = {} }
+    for (const trigger of ['l2', 'r2']) {
+      const triggerMapping = copy.buttons.shoulder[trigger]
+      if (includes(buttonIndex[trigger]) && triggerMapping && typeof triggerMapping === 'object') {
+        forgetAxisOption(triggerMapping.axis)
+      }
+    }
+    if (includes(buttonIndex.dpad.down)) {
+      copy.buttons.dpad = {}
+      removeProperty('axisdpad')
+    }
+    for (const side of ['left', 'right']) {
+      if (!includes(buttonIndex.stick[side].x)) { continue }
+      if (copy.sticks[side]) {
+        forgetAxisOption(copy.sticks[side].x)
+        forgetAxisOption(copy.sticks[side].y)
+      }
+      const deadzone = copy.sticks[side] ? copy.sticks[side].deadzone : undefined
+      copy.sticks[side] = typeof deadzone === 'number' ? { deadzone } : {}
+      removeProperty('nosticks')
+    }
+    
+    return copy
+  }
+  /**
+   * what the calibration of an axisdpad asks for, in order
+   * @type {string[]}
+   */
+  static get axisDpadCalibrationSteps () {
+    return ['neutral', ...MappingManager.axisDpadDirections]
+  }
+  /**
+   * @typedef {Object} axisDpadCalibration
+   * @property {number} axis
+   * @property {number} pressedValue the value that started the calibration
+   * @property {number} step index of `axisDpadCalibrationSteps` being asked
+   * @property {Object.<string, number>} values recorded values by directions
+   */
+  /**
+   * Record the value of the axis for the direction being asked,
+   * if it's not a value already recorded.
+   * @param {axisDpadCalibration} calibration
+   * @param {number} value
+   * @returns {boolean} true if every direction is recorded
+   */
+  static calibrateAxisDpad (calibration, value) {
+    const steps = MappingManager.axisDpadCalibrationSteps
+    const gap = MappingManager.axisDpadMinimumGap
+    // releasing after a direction brings back the neutral value,
+    // and a direction pressed a bit too long brings back its value.
+    const known = Object.values(calibration.values)
+    if (calibration.step === 0) { known.push(calibration.pressedValue) }
+    if (known.some(v => Math.abs(value - v) < gap)) { return false }
+    
+    calibration.values[steps[calibration.step]] = value
+    calibration.step++
+    return calibration.step >= steps.length
+  }
+  /**
+   * Get the precision that tells every recorded value apart.
+   * @param {Object.<string, number>} values
+   * @returns {number}
+   */
+  static getAxisDpadPrecision (values) {
+    const sorted = Object.values(values).sort((a, b) => a - b)
+    let gap = Infinity
+    for (let v = 1; v < sorted.length; v++) {
+      gap = Math.min(gap, sorted[v] - sorted[v - 1])
+    }
+    // half of the closest gap, but not looser than the default
+    return Math.min(0.1, Math.floor(gap / 2 * 1000) / 1000)
+  }
+  /**
+   * @param {string} direction 'neutral' or one of `axisDpadDirections`
+   * @returns {Object} `buttons` of a processed change showing the direction
+   */
+  static makeDpadVirtualInput (direction) {
+    const dpad = {}
+    const stick = [0, 0]
+    if (direction.indexOf('up') !== -1) { dpad.up = { value: 1 }; stick[1] = -1 }
+    if (direction.indexOf('down') !== -1) { dpad.down = { value: 1 }; stick[1] = 1 }
+    if (direction.indexOf('left') !== -1) { dpad.left = { value: 1 }; stick[0] = -1 }
+    if (direction.indexOf('right') !== -1) { dpad.right = { value: 1 }; stick[0] = 1 }
+    dpad.value = { value: stick }
+    return { dpad: dpad }
   }
   /**
    *
@@ -582,18 +2147,33 @@ class MappingManager {
       
       return
     }
+    // kept for showing guides without a change,
+    // which is made without an id by `announceAssignmentPrompt`
+    if (gamepadChange.id) {
+      assignmentState.data.id = gamepadChange.id
+    }
   
     // find new input change
     /*
      some axes are staying at -1, while most are at 0
      axisdpad will stay at ~3.2.
-     Guess I won't use `Math.abs` for axes and instead go for just > 0.1.
-     This will be broken if there's a gamepad with axis inverted by default.
+     So an axis is found when it moved from where it was resting
+     when the assignment started, to either way.
      */
+    const restAxes = assignmentState.data.restAxes || []
+    const getRestValue = axisIndex =>
+      typeof restAxes[axisIndex] === 'number' ? restAxes[axisIndex] : 0
     const foundIndexes = [
-      gamepadChange.axes.findIndex(v => v && v.value > 0.1 && v.value <= 1),
+      gamepadChange.axes.findIndex((v, a) =>
+        v && Math.abs(v.value) <= 1 && Math.abs(v.value - getRestValue(a)) > 0.1
+      ),
       gamepadChange.buttons.findIndex(v => v && Math.abs(v.value) > 0.5)
     ]
+    const dpadCalibration = assignmentState.data.dpadCalibration
+    if (dpadCalibration && gamepadChange.axes[dpadCalibration.axis]) {
+      // values of a weird axisdpad can be anything
+      foundIndexes[0] = dpadCalibration.axis
+    }
     const inputFound = foundIndexes.some(v => v !== -1)
     
     // assigning is in progress
@@ -603,10 +2183,20 @@ class MappingManager {
     const allButtonMapped = assignmentState.index === MappingManager.everyButtonInfo.length
     const buttonIndex = MappingManager.everyButtonIndex
     
+    const range = assignmentState.data.range
+    
     if (assignmentState.index === -1) {
       // initiating the routine for the first time
+      // remember where axes rest, to tell which way they're pushed
+      assignmentState.data.restAxes = this.axisState[gamepadIndex].slice()
+      assignmentState.index = range.first
+      buttonInfo =
+        MappingManager.everyButtonInfo[assignmentState.index]
+    } else if (assignmentState.data.axisReach) {
+      // an axis is just assigned, see how far it goes until it's released
+      MappingManager.followAxisReach(assignmentState, gamepadChange)
       buttonInfo =
-        MappingManager.everyButtonInfo[++assignmentState.index]
+        MappingManager.everyButtonInfo[assignmentState.index]
     } else {
       // the routine is already on
       
@@ -617,18 +2207,27 @@ class MappingManager {
       
       if (inputFound) {
         // input is found
+        // the state before the input, to come back to with 'back'
+        const stepBefore = MappingManager.makeAssignmentStep(assignmentState)
         const axisNotAssigned =
           assignmentState.data.occupied.axes.indexOf(foundIndexes[0]) === -1
         const buttonNotAssigned =
           assignmentState.data.occupied.buttons.indexOf(foundIndexes[1]) === -1
         
         let inputToBeSkipped = false, aborting = false
-        if (assignmentState.index > 1) {
+        if (assignmentState.index > buttonIndex.face.right) {
           inputToBeSkipped =
             foundIndexes[1] === assignmentState.data.mapping.buttons.face.down
           aborting =
             foundIndexes[1] === assignmentState.data.mapping.buttons.face.right
         }
+        let goingBack = false, redoing = false
+        if (assignmentState.index > buttonIndex.face.left) {
+          goingBack =
+            foundIndexes[1] === assignmentState.data.mapping.buttons.face.up
+          redoing =
+            foundIndexes[1] === assignmentState.data.mapping.buttons.face.left
+        }
         
         if (aborting && !allButtonMapped) {
           // 'abort' input received
@@ -639,6 +2238,7 @@ class MappingManager {
           processedGamepadChangeTemplate.message = ['Assignment Aborted.']
         } else if (inputToBeSkipped && !allButtonMapped) {
           // 'skip' input received
+          delete assignmentState.data.dpadCalibration
           // update index
           switch (assignmentState.index) {
             case buttonIndex.dpad.down:
@@ -650,6 +2250,12 @@ class MappingManager {
               assignmentState.index = buttonIndex.dpad.right + 1
               break
             case buttonIndex.l1:
+              if (range.last < buttonIndex.r2) {
+                // only l1 is being assigned, keep the others
+                buttonInfo.mapInput(assignmentState.data.mapping, null)
+                assignmentState.index++
+                break
+              }
               buttonInfo.nullInput(assignmentState.data.mapping)
               // fallthrough
             case buttonIndex.l2:
@@ -663,6 +2269,17 @@ class MappingManager {
               buttonInfo.nullInput(assignmentState.data.mapping)
               assignmentState.index = buttonIndex.stick.right.button
               break
+            case buttonIndex.extra.paddle1:
+              if (range.label !== null) {
+                // extra buttons are being assigned on purpose, skip one by one
+                buttonInfo.mapInput(assignmentState.data.mapping, null)
+                assignmentState.index++
+                break
+              }
+              // most gamepads have none of them
+              buttonInfo.nullInput(assignmentState.data.mapping)
+              assignmentState.index = buttonIndex.extra.extra2 + 1
+              break
             default:
               buttonInfo.mapInput(assignmentState.data.mapping, null)
               assignmentState.index++
@@ -671,37 +2288,56 @@ class MappingManager {
           // update buttonInfo with new index
           buttonInfo =
             MappingManager.everyButtonInfo[assignmentState.index]
+        } else if (goingBack || redoing) {
+          // 'back' or 'redo' input received
+          this.moveAssignmentStep(gamepadIndex, goingBack ? -1 : 1)
+          buttonInfo =
+            MappingManager.everyButtonInfo[assignmentState.index]
         } else {
           // no 'abort' or 'skip' interruption received
-          if (assignmentState.index === buttonIndex.dpad.down) {
+          if (assignmentState.data.dpadCalibration) {
+            // own routine for calibrating axisdpad
+            const calibration = assignmentState.data.dpadCalibration
+            if (
+              foundIndexes[0] === calibration.axis &&
+              MappingManager.calibrateAxisDpad(
+                calibration, gamepadChange.axes[calibration.axis].value
+              )
+            ) {
+              const mapping = assignmentState.data.mapping
+              mapping.buttons.dpad = Object.assign(
+                { axis: calibration.axis }, calibration.values,
+                { precision: MappingManager.getAxisDpadPrecision(calibration.values) }
+              )
+              mapping.properties.push('axisdpad')
+              assignmentState.data.occupied.axes.push(calibration.axis)
+              delete assignmentState.data.dpadCalibration
+              assignmentState.index += 4
+            }
+          } else if (assignmentState.index === buttonIndex.dpad.down) {
             // own routine for dpad - the index is for dpad-down
             if (
               foundIndexes[0] !== -1 &&
               axisNotAssigned
             ) {
               // it's axisdpad!
-              buttonInfo.mapInputAxis(
-                assignmentState.data.mapping, foundIndexes[0]
-              )
-              assignmentState.data.mapping.properties.push('axisdpad')
-              if (Math.abs(gamepadChange.axes[foundIndexes[0]].value - 0.1) < 0.1) {
+              const axisValue = gamepadChange.axes[foundIndexes[0]].value
+              if (Math.abs(axisValue - 0.1) < 0.1) {
                 // it's standard axisdpad!
+                buttonInfo.mapInputAxis(
+                  assignmentState.data.mapping, foundIndexes[0]
+                )
+                assignmentState.data.mapping.properties.push('axisdpad')
                 assignmentState.data.occupied.axes.push(foundIndexes[0])
                 assignmentState.index += 4
               } else {
-                // it's a weird axisdpad...
-                // work on this when such case is actually found. Below is a placeholder.
-                MappingManager.announceMessage(new Error(
-                  'I finally found a user of a rare dpad kind! Please contact me.'
-                ))
-                assignmentState.data.occupied.axes.push(foundIndexes[0])
-                assignmentState.index += 4
-                /*
-                function getFirstDigit (x) {
-                  const position = Math.floor(Math.log10(x))
-                  return Math.floor(x/10**position)*10**position
+                // it's a weird axisdpad, record the value of every direction
+                assignmentState.data.dpadCalibration = {
+                  axis: foundIndexes[0],
+                  pressedValue: axisValue,
+                  step: 0,
+                  values: {}
                 }
-                 */
               }
             } else if (buttonNotAssigned) {
               // it's four button dpad
@@ -730,6 +2366,30 @@ class MappingManager {
               // required input is found so increase the index and finish assignment
               assignmentState.index++
             }
+          } else if (
+            (
+              assignmentState.index === buttonIndex.l2 ||
+              assignmentState.index === buttonIndex.r2
+            ) &&
+            foundIndexes[1] === -1 && foundIndexes[0] !== -1 && axisNotAssigned
+          ) {
+            // trigger conveyed by an axis
+            const axisValue = gamepadChange.axes[foundIndexes[0]].value
+            buttonInfo.mapInput(
+              assignmentState.data.mapping, { axis: foundIndexes[0] }
+            )
+            MappingManager.setAxisOption(
+              assignmentState.data.mapping, foundIndexes[0],
+              MappingManager.detectAxisOption(getRestValue(foundIndexes[0]), axisValue)
+            )
+            assignmentState.data.occupied.axes.push(foundIndexes[0])
+            // the step goes on until the trigger is released
+            assignmentState.data.axisReach = {
+              axis: foundIndexes[0],
+              rest: getRestValue(foundIndexes[0]),
+              farthest: axisValue,
+              stepBefore: stepBefore
+            }
           } else {
             // anything else than dpad-down (or whole dpad if it was axis)
             const inputGroupIndex = buttonInfo.group === 'buttons' ? 1 : 0
@@ -744,24 +2404,54 @@ class MappingManager {
                 assignmentState.data.mapping, foundIndex
               )
               assignmentState.data.occupied[buttonInfo.group].push(foundIndex)
-              assignmentState.index++
+              if (inputGroupIndex === 0) {
+                // sticks are pushed to right and down, the positive direction
+                MappingManager.setAxisOption(
+                  assignmentState.data.mapping, foundIndex,
+                  MappingManager.detectAxisOption(
+                    getRestValue(foundIndex), gamepadChange.axes[foundIndex].value
+                  )
+                )
+                // the step goes on until the stick is released
+                assignmentState.data.axisReach = {
+                  axis: foundIndex,
+                  rest: getRestValue(foundIndex),
+                  farthest: gamepadChange.axes[foundIndex].value,
+                  stepBefore: stepBefore
+                }
+              } else {
+                assignmentState.index++
+              }
             }
           }
         }
+        
+        if (
+          !goingBack && !redoing &&
+          assignmentState.index !== stepBefore.index
+        ) {
+          // a new step is made, steps gone back from can't be redone
+          assignmentState.data.history.push(stepBefore)
+          assignmentState.data.undone = []
+        }
       } else {
         // input is not found
         if (assignmentState.index >= MappingManager.everyButtonInfo.length) {
           // let's define the deadzone value for sticks
           const stickMappings = assignmentState.data.mapping.sticks
-          MappingManager.setDeadzone(stickMappings.left, gamepadChange.axes)
-          MappingManager.setDeadzone(stickMappings.right, gamepadChange.axes)
+          const axisOptions = assignmentState.data.mapping.axisOptions || {}
+          const currentAxes = this.axisState[gamepadIndex].map((v, a) => ({
+            value: MappingManager.normalizeAxisValue(v, axisOptions[a])
+          }))
+          MappingManager.setDeadzone(stickMappings.left, currentAxes)
+          MappingManager.setDeadzone(stickMappings.right, currentAxes)
         }
       }
     }
     
     // the process will ask if it's a joystick when the index is at the length.
     // so this should point at range that's 'greater than' the length.
-    if (assignmentState.index > MappingManager.everyButtonInfo.length) {
+    if (assignmentState.index > range.last) {
       // assigning is done
       assignmentState.result = true
       processedGamepadChangeTemplate.properties.splice(
@@ -769,14 +2459,28 @@ class MappingManager {
       )
       const isJoystick = assignmentState.data.mapping.properties.indexOf('joystick') !== -1
       processedGamepadChangeTemplate.message = [
-        `${isJoystick ? 'Joystick' : 'Gamepad'} assignment done!`
+        range.label ?
+          `Assignment for ${range.label} done!` :
+          `${isJoystick ? 'Joystick' : 'Gamepad'} assignment done!`
       ]
-    } else if (!inputFound) {
-      // make the guide message for next input
-      let message = []
+    } else if (!inputFound || assignmentState.data.dpadCalibration) {
+      // make the guide message for next input,
+      // or the next direction as axisdpad keeps changing while calibrating
+      let message = [
+        `Step ${assignmentState.index - range.first + 1}/` +
+        `${range.last - range.first + 1}`
+      ]
+      const calibration = assignmentState.data.dpadCalibration
       if (allButtonMapped) {
         message.push('Is this a joystick?')
         message.push(`A/× - Gamepad   B/○ - Joystick  `)
+      } else if (calibration) {
+        const direction = MappingManager.axisDpadCalibrationSteps[calibration.step]
+        message.push(
+          `Dpad ${calibration.step + 1}/` +
+          `${MappingManager.axisDpadCalibrationSteps.length}: ` +
+          (direction === 'neutral' ? 'Release the dpad.' : `Press ${direction}.`)
+        )
       } else if (
         assignmentState.index === buttonIndex.stick.left.button ||
         assignmentState.index === buttonIndex.stick.right.button
@@ -800,10 +2504,21 @@ class MappingManager {
       ) {
         // after assigning first two buttons, face-down and face-right,
         // use them as a control on the assignment process
-        message.push(`A/× - Skip      B/○ - Abort     `)
+        message.push(
+          assignmentState.index === buttonIndex.extra.paddle1 && range.label === null ?
+            `A/× - Skip All  B/○ - Abort     ` :
+            `A/× - Skip      B/○ - Abort     `
+        )
+      }
+      if (assignmentState.index > buttonIndex.face.left) {
+        message.push(`Y/Δ - Back      X/□ - Redo      `)
       }
       
-      if (buttonInfo) {
+      if (calibration) {
+        processedGamepadChangeTemplate.buttons = MappingManager.makeDpadVirtualInput(
+          MappingManager.axisDpadCalibrationSteps[calibration.step]
+        )
+      } else if (buttonInfo) {
         processedGamepadChangeTemplate[
           buttonInfo.renderGroup || buttonInfo.group
         ] =
@@ -816,10 +2531,14 @@ class MappingManager {
   // these are methods made for
   // making changes without losing the reference to 'mappings' object
   addOrUpdate (gamepadId, mappingObj) {
-    if (mappingObj && mappingObj.name) {
+    // overrides only need the parts they change
+    if (
+      mappingObj &&
+      (mappingObj.name || MappingManager.parseOverrideId(gamepadId))
+    ) {
       this.mappings[gamepadId] = mappingObj
       MappingManager.announceMessage(
-        `Loaded the mapping for ${mappingObj.name}.`
+        `Loaded the mapping for ${mappingObj.name || gamepadId}.`
       )
       
       return true
@@ -832,6 +2551,18 @@ class MappingManager {
       return false
     }
   }
+  /**
+   * Add the mapping and store it, only if there's no mapping for the gamepadId.
+   * Used for devices coming with their own mappings,
+   * so changes made on them are kept.
+   * @param {gamepadId} gamepadId
+   * @param {Object} mappingObj
+   * @returns {boolean} true if the mapping is added
+   */
+  addDefaultMapping (gamepadId, mappingObj) {
+    if (this.mappings[gamepadId]) { return false }
+    return this.addOrUpdate(gamepadId, mappingObj) && this.store()
+  }
   remove (gamepadId) {
     delete this.mappings[gamepadId]
   }
@@ -845,10 +2576,10 @@ class MappingManager {
   import (exportedMappings) {
     const mappingsAreValid = MappingManager.validateMappings(exportedMappings)
     if (mappingsAreValid !== true) {
-      MappingManager.announceMessage(new Error(JSON.stringify({
-        message: 'Some of the given mappings are not valid.',
-        detail: mappingsAreValid
-      })))
+      MappingManager.announceMessage(new Error(
+        'Some of the given mappings are not valid.\n' +
+        mappingsAreValid.errors.join('\n')
+      ))
       return mappingsAreValid
     }
     this.removeAll()
@@ -862,75 +2593,478 @@ class MappingManager {
     
     return this.store()
   }
-  store () {
-    const mappingsAreValid = MappingManager.validateMappings(this.mappings)
-    if (mappingsAreValid === true) {
-      const mappingsJSON = JSON.stringify(this.mappings)
-      window.localStorage.setItem('mappings', mappingsJSON)
+  store () {
+    const mappingsAreValid = MappingManager.validateMappings(this.mappings)
+    if (mappingsAreValid === true) {
+      const mappingsJSON = JSON.stringify(this.mappings)
+      window.localStorage.setItem(
+        MappingManager.getProfileStorageKey(this.profile), mappingsJSON
+      )
+  
+      MappingManager.announceMessage(
+        Object.keys(JSON.parse(mappingsJSON)).length +
+        ' mappings stored in the local storage.'
+      )
+      return true
+    } else {
+      MappingManager.announceMessage(new Error(
+        'Some mappings loaded at the moment are not valid.\n' +
+        mappingsAreValid.errors.join('\n')
+      ))
+      return false
+    }
+  }
+  load () {
+    const mappingsFromStorage = JSON.parse(
+      window.localStorage.getItem(MappingManager.getProfileStorageKey(this.profile))
+    )
+    MappingManager.announceMessage(
+      'Loading stored mappings from the local storage...'
+    )
+    const mappingsAreValid = MappingManager.validateMappings(mappingsFromStorage)
+    if (mappingsAreValid !== true) {
+      if (mappingsFromStorage === null) {
+        // nothing is stored yet
+        return this.initiate()
+      }
+      // keep what was stored, so it can be fixed and imported again
+      const backupKey = MappingManager.getBackupStorageKey(this.profile)
+      window.localStorage.setItem(
+        backupKey,
+        window.localStorage.getItem(MappingManager.getProfileStorageKey(this.profile))
+      )
+      MappingManager.announceMessage(new Error(
+        'Some mappings stored in the local storage are invalid! ' +
+        'Default mappings for standards will be loaded and stored, ' +
+        `and the stored mappings are kept as '${backupKey}' in the local storage.\n` +
+        mappingsAreValid.errors.join('\n') + '\n' +
+        JSON.stringify(mappingsFromStorage)
+      ))
+      return this.initiate()
+    }
+    
+    this.removeAll()
+    for (const gamepadId in mappingsFromStorage) {
+      if (!mappingsFromStorage.hasOwnProperty(gamepadId)) { continue }
+      this.addOrUpdate(gamepadId, mappingsFromStorage[gamepadId])
+    }
+    MappingManager.announceMessage(
+      Object.keys(this.mappings).length + ' mappings are loaded.'
+    )
+    
+    return true
+  }
+  
+  /**
+   * @param {string} profile
+   * @returns {string} key of the local storage the mappings of the profile are in
+   */
+  static getProfileStorageKey (profile) {
+    return profile === MappingManager.defaultProfile ?
+      'mappings' : `mappings:${profile}`
+  }
+  /**
+   * @param {string} profile
+   * @returns {string} key of the local storage invalid mappings of the profile are kept in
+   */
+  static getBackupStorageKey (profile) {
+    return `backup:${MappingManager.getProfileStorageKey(profile)}`
+  }
+  /**
+   * names of every mapping profile, the default one first
+   * @type {string[]}
+   */
+  get profiles () {
+    const storedProfiles = JSON.parse(
+      window.localStorage.getItem(MappingManager.profileListLocalStorageKey)
+    )
+    return [MappingManager.defaultProfile].concat(
+      Array.isArray(storedProfiles) ?
+        storedProfiles.filter(profile => typeof profile === 'string') : []
+    )
+  }
+  /**
+   * @param {string[]} profiles names of profiles except the default one
+   */
+  storeProfileList (profiles) {
+    window.localStorage.setItem(
+      MappingManager.profileListLocalStorageKey, JSON.stringify(profiles)
+    )
+  }
+  /**
+   * @returns {string} the profile used the last time, if it still exists
+   */
+  loadProfileName () {
+    const profile = window.localStorage.getItem(MappingManager.profileLocalStorageKey)
+    return this.profiles.indexOf(profile) !== -1 ?
+      profile : MappingManager.defaultProfile
+  }
+  /**
+   * Load mappings of another profile.
+   * @param {string} profile
+   * @param {boolean} [remember] false to use the profile only on this page,
+   * without making it the one used the next time
+   * @returns {boolean}
+   */
+  switchProfile (profile, remember = true) {
+    if (this.profiles.indexOf(profile) === -1) {
+      MappingManager.announceMessage(new Error(
+        `There's no mapping profile named '${profile}'.`
+      ))
+      return false
+    }
+    this.profile = profile
+    if (remember) {
+      window.localStorage.setItem(MappingManager.profileLocalStorageKey, profile)
+    }
+    MappingManager.announceMessage(`Switched to the mapping profile '${profile}'.`)
+    return this.load()
+  }
+  /**
+   * Switch to the next or the previous profile of the one in use.
+   * Nothing is done when there's only one profile.
+   * @param {number} direction `1` for the next profile, `-1` for the previous one
+   * @returns {boolean} true if another profile is loaded
+   */
+  cycleProfile (direction) {
+    const profiles = this.profiles
+    if (profiles.length < 2) { return false }
+    const index = profiles.indexOf(this.profile)
+    return this.switchProfile(
+      profiles[(index + direction + profiles.length) % profiles.length]
+    )
+  }
+  /**
+   * Make a profile with a copy of the mappings in use, and switch to it.
+   * @param {string} name
+   * @returns {boolean}
+   */
+  createProfile (name) {
+    const profile = typeof name === 'string' ? name.trim() : ''
+    if (!profile.length) {
+      MappingManager.announceMessage(new Error('A mapping profile needs a name.'))
+      return false
+    }
+    const profiles = this.profiles
+    if (profiles.indexOf(profile) !== -1) {
+      MappingManager.announceMessage(new Error(
+        `There's already a mapping profile named '${profile}'.`
+      ))
+      return false
+    }
+    window.localStorage.setItem(
+      MappingManager.getProfileStorageKey(profile), JSON.stringify(this.mappings)
+    )
+    this.storeProfileList([...profiles.slice(1), profile])
+    MappingManager.announceMessage(
+      `Made the mapping profile '${profile}' from '${this.profile}'.`
+    )
+    return this.switchProfile(profile)
+  }
+  /**
+   * Remove the profile and its mappings.
+   * The default profile is used if it was the one in use.
+   * @param {string} profile
+   * @returns {boolean}
+   */
+  removeProfile (profile) {
+    if (profile === MappingManager.defaultProfile) {
+      MappingManager.announceMessage(new Error(
+        'The default mapping profile can\'t be removed.'
+      ))
+      return false
+    }
+    const profiles = this.profiles
+    if (profiles.indexOf(profile) === -1) {
+      MappingManager.announceMessage(new Error(
+        `There's no mapping profile named '${profile}'.`
+      ))
+      return false
+    }
+    window.localStorage.removeItem(MappingManager.getProfileStorageKey(profile))
+    this.storeProfileList(profiles.slice(1).filter(p => p !== profile))
+    MappingManager.announceMessage(`Removed the mapping profile '${profile}'.`)
+    
+    return this.profile === profile ?
+      this.switchProfile(MappingManager.defaultProfile) : true
+  }
+  /**
+   * Add mappings from lines of SDL mappings,
+   * like those in `gamecontrollerdb.txt`, then store them.
+   * Only the first line for each gamepad is used.
+   *
+   * SDL mappings are made for raw layouts of gamepads,
+   * so they're wrong for gamepads the browser already gives the standard layout,
+   * and those are skipped.
+   * Gamepads with their own mappings are also skipped unless `overwrite` is given.
+   * @param {string} text
+   * @param {Object} [options]
+   * @param {boolean} [options.overwrite] replace mappings already made for the gamepads
+   * @param {gamepadId[]} [options.standardGamepadIds]
+   * gamepads the browser gives the standard layout, like those with `Gamepad.mapping` of 'standard'
+   * @returns {(boolean|mappingValidationResult)}
+   */
+  importSDL (text, { overwrite = false, standardGamepadIds = [] } = {}) {
+    if (typeof text !== 'string') {
+      MappingManager.announceMessage(new Error(
+        'SDL mappings should be given as a text.'
+      ))
+      return false
+    }
+    const newMappings = {}
+    const notes = []
+    text.split(/\r?\n/).forEach((line, l) => {
+      line = line.trim()
+      if (!line || line[0] === '#') { return }
+      let converted
+      try {
+        converted = MappingManager.convertSDLMapping(line)
+      } catch (e) {
+        notes.push(`Line ${l + 1}: ${e.message}`)
+        return
+      }
+      if (!converted || newMappings[converted.gamepadId]) { return }
+      if (standardGamepadIds.indexOf(converted.gamepadId) !== -1) {
+        notes.push(
+          `Line ${l + 1} (${converted.mapping.name}): ` +
+          'skipped, as the browser already gives it the standard layout.'
+        )
+        return
+      }
+      if (!overwrite && this.mappings[converted.gamepadId]) {
+        notes.push(
+          `Line ${l + 1} (${converted.mapping.name}): ` +
+          'skipped, as there\'s already a mapping for it.'
+        )
+        return
+      }
+      newMappings[converted.gamepadId] = converted.mapping
+      converted.notes.forEach(note => {
+        notes.push(`Line ${l + 1} (${converted.mapping.name}): ${note}`)
+      })
+    })
+    if (notes.length) {
+      MappingManager.announceMessage(notes.join('\n'), 'warn')
+    }
+    if (!Object.keys(newMappings).length) {
+      MappingManager.announceMessage(new Error(
+        `No mapping for ${MappingManager.sdlPlatform} to add is found in the given lines.`
+      ))
+      return false
+    }
+    const mappingsAreValid = MappingManager.validateMappings(newMappings)
+    if (mappingsAreValid !== true) {
+      MappingManager.announceMessage(new Error(
+        'Some of the converted mappings are not valid.\n' +
+        mappingsAreValid.errors.join('\n')
+      ))
+      return mappingsAreValid
+    }
+    
+    for (const gamepadId in newMappings) {
+      this.addOrUpdate(gamepadId, newMappings[gamepadId])
+    }
+    MappingManager.announceMessage(
+      `Imported ${Object.keys(newMappings).length} mappings from SDL mappings.`
+    )
+    
+    return this.store()
+  }
+  /**
+   * Make lines of SDL mappings for mappings of gamepads with vendor and product IDs.
+   * @returns {string}
+   */
+  exportSDL () {
+    const lines = []
+    const notes = []
+    for (const gamepadId in this.mappings) {
+      if (!this.mappings.hasOwnProperty(gamepadId)) { continue }
+      const exported =
+        MappingManager.makeSDLMappingLine(gamepadId, this.mappings[gamepadId])
+      if (!exported) { continue }
+      lines.push(exported.line)
+      exported.notes.forEach(note => {
+        notes.push(`${this.mappings[gamepadId].name}: ${note}`)
+      })
+    }
+    if (notes.length) {
+      MappingManager.announceMessage(notes.join('\n'), 'warn')
+    }
+    
+    return lines.join('\n')
+  }
   
-      MappingManager.announceMessage(
-        Object.keys(JSON.parse(mappingsJSON)).length +
-        ' mappings stored in the local storage.'
-      )
-      return true
-    } else {
-      MappingManager.announceMessage(new Error(JSON.stringify({
-        message: 'Some mappings loaded at the moment are not valid.',
-        detail: mappingsAreValid
-      })))
-      return false
+  /**
+   * Look for gamepadId that has a corresponding mapping and return the Id.
+   * An override for the nickname of the device comes first,
+   * then one for the slot, then the mapping shared by the kind.
+   * @param {gamepadId} gamepadId
+   * @param {number} [slot]
+   * @param {?string} [nickname]
+   * @returns {(gamepadId|mappingOverrideId)} give it to `getMapping` for the mapping
+   * @see MappingManager.resolveMappedGamepadId
+   */
+  getMappedGamepadId (gamepadId, slot, nickname) {
+    if (nickname) {
+      const nicknameOverrideId = MappingManager.makeNicknameOverrideId(gamepadId, nickname)
+      if (this.mappings[nicknameOverrideId]) { return nicknameOverrideId }
+    }
+    if (Number.isInteger(slot)) {
+      const slotOverrideId = MappingManager.makeSlotOverrideId(gamepadId, slot)
+      if (this.mappings[slotOverrideId]) { return slotOverrideId }
     }
+    return MappingManager.resolveMappedGamepadId(this.mappings, gamepadId)
   }
-  load () {
-    const mappingsFromStorage = JSON.parse(window.localStorage.getItem('mappings'))
-    MappingManager.announceMessage(
-      'Loading stored mappings from the local storage...'
+  /**
+   * Get the mapping of an id given by `getMappedGamepadId`.
+   * For an override, a new mapping is made with it laid over the mapping it overrides,
+   * so changes on it are not kept.
+   * @param {(gamepadId|mappingOverrideId)} mappingId
+   * @returns {?gamepadMapping}
+   */
+  getMapping (mappingId) {
+    const override = MappingManager.parseOverrideId(mappingId)
+    if (!override || !this.mappings[mappingId]) {
+      return this.mappings[mappingId] || null
+    }
+    const baseId = MappingManager.resolveMappedGamepadId(this.mappings, override.gamepadId)
+    if (!this.mappings[baseId]) { return null }
+    return MappingManager.mergeMappings(this.mappings[baseId], this.mappings[mappingId])
+  }
+  
+  /**
+   * @returns {Object.<gamepadId, compositeDevice>} stored composite devices,
+   * or none if they're not valid
+   */
+  loadCompositeDevices () {
+    const compositeDevices = JSON.parse(
+      window.localStorage.getItem(MappingManager.compositeDeviceLocalStorageKey)
     )
-    const mappingsAreValid = MappingManager.validateMappings(mappingsFromStorage)
-    if (mappingsAreValid !== true) {
+    if (compositeDevices === null) { return {} }
+    const devicesAreValid = MappingManager.validateCompositeDevices(compositeDevices)
+    if (devicesAreValid !== true) {
       MappingManager.announceMessage(
-        'Some mappings stored in the local storage are invalid! ' +
-        'Default mappings for standards will be loaded and stored.\n' +
-        JSON.stringify(mappingsAreValid)
+        'Composite devices stored in the local storage are invalid, ' +
+        'so none of them are used.\n' +
+        devicesAreValid.errors.join('\n'),
+        'warn'
       )
-      return this.initiate()
+      return {}
     }
-    
-    this.removeAll()
-    for (const gamepadId in mappingsFromStorage) {
-      if (!mappingsFromStorage.hasOwnProperty(gamepadId)) { continue }
-      this.addOrUpdate(gamepadId, mappingsFromStorage[gamepadId])
+    return compositeDevices
+  }
+  /**
+   * Replace composite devices with the given ones and store them.
+   * @param {Object.<gamepadId, compositeDevice>} compositeDevices
+   * @returns {(boolean|mappingValidationResult)}
+   */
+  importCompositeDevices (compositeDevices) {
+    const devicesAreValid = MappingManager.validateCompositeDevices(compositeDevices)
+    if (devicesAreValid !== true) {
+      MappingManager.announceMessage(new Error(
+        'Some of the given composite devices are not valid.\n' +
+        devicesAreValid.errors.join('\n')
+      ))
+      return devicesAreValid
     }
+    this.compositeDevices = compositeDevices
+    window.localStorage.setItem(
+      MappingManager.compositeDeviceLocalStorageKey, JSON.stringify(compositeDevices)
+    )
     MappingManager.announceMessage(
-      Object.keys(this.mappings).length + ' mappings are loaded.'
+      `Imported ${Object.keys(compositeDevices).length} composite devices.`
     )
     
     return true
   }
-  
   /**
-   * Look for gamepadId that has a corresponding mapping and return the Id.
-   * If the mapping for the exact gamepadId doesn't exist,
-   * look if a mapping for the same vendor ID exists,
-   * and give either the vendor ID or 'DInput'.
-   * @param {gamepadId} gamepadId
-   * @returns {string}
+   * Put processed changes of devices making a composite device together,
+   * into the first slot any of the devices takes.
+   * The other slots get a change with 'composited' property,
+   * so what was shown for them is cleared.
+   *
+   * Devices in the middle of an assignment are left as they are.
+   * @param {Object} processedChanges {@link MappingManager#processGamepadChange}
    */
-  getMappedGamepadId (gamepadId) {
-    // if it's not one of two standards,
-    // check vendor id, if still not known then assign DInput
-    /* I assume gamepads have xinput mode beside
-     their own mode that could be fit as dinput */
-    if (this.mappings[gamepadId]) {
-      return gamepadId
-    } else {
-      const vendorId = gamepadId.slice(0,4)
-      if (this.mappings[vendorId]) {
-        return vendorId
-      } else {
-        return 'DInput'
+  combineCompositeDevices (processedChanges) {
+    for (const compositeId in this.compositeDevices) {
+      if (!this.compositeDevices.hasOwnProperty(compositeId)) { continue }
+      const compositeDevice = this.compositeDevices[compositeId]
+      /**
+       * slot of each connected device, the first one for several devices of the same kind
+       * @type {Object.<gamepadId, number>}
+       */
+      const sourceSlots = {}
+      for (const gamepadId in compositeDevice.sources) {
+        if (!compositeDevice.sources.hasOwnProperty(gamepadId)) { continue }
+        const slot = this.slotIds.findIndex(id => id && id.gamepadId === gamepadId)
+        if (slot !== -1) { sourceSlots[gamepadId] = slot }
+      }
+      const slots = Object.values(sourceSlots)
+      if (
+        !slots.some(slot => processedChanges[slot]) ||
+        slots.some(slot => this.assignmentState[slot].ongoing)
+      ) { continue }
+      
+      const sourceChanges = {}
+      for (const gamepadId in sourceSlots) {
+        sourceChanges[gamepadId] = processedChanges[sourceSlots[gamepadId]]
+      }
+      const firstSlot = Math.min(...slots)
+      for (const slot of slots) {
+        processedChanges[slot] = {
+          id: this.slotIds[slot],
+          mappingId: compositeId,
+          timestamp: processedChanges[slot] ?
+            processedChanges[slot].timestamp : performance.now(),
+          properties: ['composited'],
+          sticks: {},
+          buttons: {}
+        }
+      }
+      processedChanges[firstSlot] = MappingManager.combineChanges(
+        compositeId, compositeDevice, sourceChanges
+      )
+    }
+  }
+  /**
+   * @param {gamepadId} compositeId
+   * @param {compositeDevice} compositeDevice
+   * @param {Object.<gamepadId, ?ProcessedGamepadChange>} sourceChanges
+   * changes of connected devices, null for those without changes
+   * @returns {ProcessedGamepadChange}
+   */
+  static combineChanges (compositeId, compositeDevice, sourceChanges) {
+    const changes = Object.values(sourceChanges).filter(change => change)
+    const combinedChange = {
+      id: { name: compositeDevice.name, gamepadId: compositeId },
+      mappingId: compositeId,
+      timestamp: Math.max(...changes.map(change => change.timestamp)),
+      properties: compositeDevice.properties || [],
+      sticks: {},
+      buttons: {}
+    }
+    const buttonNames = MappingManager.mappingButtonNames
+    
+    for (const gamepadId in compositeDevice.sources) {
+      if (!compositeDevice.sources.hasOwnProperty(gamepadId)) { continue }
+      const sourceChange = sourceChanges[gamepadId] || null
+      for (const inputPath of compositeDevice.sources[gamepadId]) {
+        const [part, group, button] = inputPath.split('.')
+        const sourceGroup = sourceChange ? sourceChange[part][group] || null : null
+        if (typeof button === 'undefined') {
+          combinedChange[part][group] = sourceGroup
+          continue
+        }
+        // a group fed button by button has every button, like the one of a single device
+        if (!combinedChange[part][group]) {
+          combinedChange[part][group] = {}
+          buttonNames[group].forEach(name => { combinedChange[part][group][name] = null })
+        }
+        combinedChange[part][group][button] = sourceGroup ? sourceGroup[button] || null : null
       }
     }
+    return combinedChange
   }
   
   /**
@@ -951,6 +3085,11 @@ class MappingManager {
      */
     const processedChanges = {}
     processedChanges.length = changes.length
+    /**
+     * changes of second players, by slots of their devices
+     * @type {Object.<number, ProcessedGamepadChange>}
+     */
+    const secondPlayerChanges = {}
     
     // for each gamepadChange
     for (let i = 0; i < changes.length; i++) {
@@ -963,104 +3102,254 @@ class MappingManager {
       const processedChange = processedChanges[i]
       // copy the reference to the id property
       processedChange.id = change.id
+      processedChange.timestamp = change.timestamp
+      this.slotIds[i] = change.id
       processedChange.sticks = {}
       processedChange.buttons = {}
+      MappingManager.updateAxisState(this.axisState[i], change.axes)
   
       if (this.assignmentState[i].ongoing) {
         this.assign(i, change, processedChange)
         continue
       }
   
-      const mappingId = this.getMappedGamepadId(processedChange.id.gamepadId)
-      const mapping = this.mappings[mappingId]
+      const mappingId = this.getMappedGamepadId(
+        processedChange.id.gamepadId, i, processedChange.id.nickname
+      )
+      const mapping = this.getMapping(mappingId)
       processedChange.mappingId = mappingId
-      processedChange.properties = mapping.properties
+      MappingManager.mapGamepadChange(
+        processedChange, change, mapping,
+        this.axisState[i], this.dpadState[i], this.socdState[i]
+      )
       
-      // sticks.left and sticks.right
-      if (processedChange.properties.indexOf('nosticks') !== -1) {} else {
-        // 'nosticks' : no analog sticks on the gamepad
-        processedChange.sticks = MappingManager.processSticks(
-          mapping.sticks, change.axes, change.buttons
-        )
+      if (mapping.player2) {
+        secondPlayerChanges[i] = this.processSecondPlayer(i, change, processedChange, mapping.player2)
+      } else if (this.secondPlayers[i]) {
+        // the mapping no longer has a second player
+        this.releaseSecondPlayer(i)
       }
+    }
+    
+    this.placeSecondPlayers(processedChanges, secondPlayerChanges)
+    this.clearVacatedSlots(processedChanges)
+    this.combineCompositeDevices(processedChanges)
+    
+    // dispatch the processed change
+    if (Array.from(processedChanges).some(change => change)) {
+      MappingManager.announceGamepadChange(processedChanges)
+    }
+  }
   
-      // buttons.dpad
-      if (mapping.buttons.dpad === null) {
-        processedChange.buttons.dpad = null
-      } else {
-        if (processedChange.properties.indexOf('joystick') !== -1) {
-          // 'joystick': this is a joystick - only one of the three is active as LS: LS, RS, or Dpad.
+  /**
+   * Read the second player from a gamepad change of a device reporting two players.
+   * @param {number} slot slot of the device
+   * @param {GamepadChange} change
+   * @param {ProcessedGamepadChange} processedChange the first player of the change
+   * @param {gamepadMapping} mapping `player2` of the mapping of the device
+   * @returns {ProcessedGamepadChange}
+   */
+  processSecondPlayer (slot, change, processedChange, mapping) {
+    const secondPlayer = this.secondPlayers[slot] || (this.secondPlayers[slot] = {
+      slot: null,
+      waiting: false,
+      dpadState: [0, 0],
+      socdState: MappingManager.makeSOCDState()
+    })
+    const secondPlayerChange = {
+      id: {
+        name: mapping.name,
+        gamepadId: MappingManager.makeSecondPlayerId(processedChange.id.gamepadId)
+      },
+      mappingId: processedChange.mappingId,
+      timestamp: change.timestamp,
+      sticks: {},
+      buttons: {}
+    }
+    MappingManager.mapGamepadChange(
+      secondPlayerChange, change, mapping,
+      this.axisState[slot], secondPlayer.dpadState, secondPlayer.socdState
+    )
+    return secondPlayerChange
+  }
+  /**
+   * Put changes of second players into slots no gamepad is taking.
+   * A second player keeps its slot until a gamepad comes into it.
+   * @param {Object} processedChanges {@link MappingManager#processGamepadChange}
+   * @param {Object.<number, ProcessedGamepadChange>} secondPlayerChanges
+   * changes of second players, by slots of their devices
+   */
+  placeSecondPlayers (processedChanges, secondPlayerChanges) {
+    for (const sourceSlot in secondPlayerChanges) {
+      if (!secondPlayerChanges.hasOwnProperty(sourceSlot)) { continue }
+      const secondPlayer = this.secondPlayers[sourceSlot]
+      if (secondPlayer.slot === null || this.slotIds[secondPlayer.slot]) {
+        const takenSlots = Object.values(this.secondPlayers).map(player => player.slot)
+        secondPlayer.slot = null
+        for (let slot = 0; slot < processedChanges.length; slot++) {
+          if (this.slotIds[slot] || takenSlots.indexOf(slot) !== -1) { continue }
+          secondPlayer.slot = slot
+          break
+        }
+      }
+      if (secondPlayer.slot === null) {
+        if (!secondPlayer.waiting) {
+          MappingManager.announceMessage(
+            `There's no free slot for ${secondPlayerChanges[sourceSlot].id.name}.`,
+            'warn'
+          )
+        }
+        secondPlayer.waiting = true
+        continue
+      }
+      secondPlayer.waiting = false
+      processedChanges[secondPlayer.slot] = secondPlayerChanges[sourceSlot]
+    }
+  }
+  /**
+   * Stop showing the second player of a device, and leave the slot it was taking.
+   * The slot is cleared with the next processed change.
+   * @param {number} sourceSlot slot of the device
+   */
+  releaseSecondPlayer (sourceSlot) {
+    const secondPlayer = this.secondPlayers[sourceSlot]
+    if (!secondPlayer) { return }
+    delete this.secondPlayers[sourceSlot]
+    if (secondPlayer.slot === null || this.slotIds[secondPlayer.slot]) { return }
+    
+    this.vacatedSlots.push(secondPlayer.slot)
+  }
+  /**
+   * Give slots second players left a change with 'vacated' property,
+   * so what was shown for them is cleared.
+   * Slots already having a change are taken by something else, and left as they are.
+   * @param {Object} processedChanges {@link MappingManager#processGamepadChange}
+   */
+  clearVacatedSlots (processedChanges) {
+    for (const slot of this.vacatedSlots) {
+      if (processedChanges[slot]) { continue }
+      processedChanges[slot] = {
+        id: null,
+        mappingId: null,
+        timestamp: performance.now(),
+        properties: ['vacated'],
+        sticks: {},
+        buttons: {}
+      }
+    }
+    this.vacatedSlots = []
+  }
+  
+  /**
+   * Fill a processed change with the inputs of a gamepad change read by a mapping.
+   * @param {ProcessedGamepadChange} processedChange with `sticks` and `buttons` to fill
+   * @param {GamepadChange} change
+   * @param {gamepadMapping} mapping
+   * @param {number[]} rawAxisState last seen values of every axis of the gamepad
+   * @param {number[]} dpadState stick style state of the dpad, kept for the next change
+   * @param {socdState} socdState
+   */
+  static mapGamepadChange (
+    processedChange, change, mapping, rawAxisState, dpadState, socdState
+  ) {
+    processedChange.properties = mapping.properties
+    
+    // axes not centered at 0 or inverted are read as regular ones from here
+    const axisOptions = mapping.axisOptions
+    const changeAxes = MappingManager.applyAxisOptions(change.axes, axisOptions)
+    const axisState = axisOptions ?
+      rawAxisState.map((v, a) =>
+        MappingManager.normalizeAxisValue(v, axisOptions[a])
+      ) : rawAxisState
+    
+    // sticks.left and sticks.right
+    if (processedChange.properties.indexOf('nosticks') !== -1) {} else {
+      // 'nosticks' : no analog sticks on the gamepad
+      processedChange.sticks = MappingManager.processSticks(
+        mapping.sticks, changeAxes, change.buttons, axisState
+      )
+    }
+    
+    // buttons.dpad
+    if (mapping.buttons.dpad === null) {
+      processedChange.buttons.dpad = null
+    } else {
+      if (processedChange.properties.indexOf('joystick') !== -1) {
+        // 'joystick': this is a joystick - only one of the three is active as LS: LS, RS, or Dpad.
+        /*
+         This property is intended to be a simpler one for 'axisdpad' + 'nodpad'.
+         Since only the changes on a gamepad are received,
+         signal of non-axis dpad can't be converted into a stick signal.
+         */
+        // check if there's already an active signal received as any of the sticks on the mapping
+        if (
+          (!processedChange.sticks.left || !processedChange.sticks.left.active) &&
+          (!processedChange.sticks.right || !processedChange.sticks.right.active)
+        ) {
           /*
-           This property is intended to be a simpler one for 'axisdpad' + 'nodpad'.
-           Since only the changes on a gamepad are received,
-           signal of non-axis dpad can't be converted into a stick signal.
+           No way to know if the stick signal is being sent as that of left/right stick,
+           but both sticks are seen as inactive at the moment
+           so maybe I can try reading a dpad axis signal as that of left stick.
            */
-          // check if there's already an active signal received as any of the sticks on the mapping
-          if (
-            (!processedChange.sticks.left || !processedChange.sticks.left.active) &&
-            (!processedChange.sticks.right || !processedChange.sticks.right.active)
-          ) {
-            /*
-             No way to know if the stick signal is being sent as that of left/right stick,
-             but both sticks are seen as inactive at the moment
-             so maybe I can try reading a dpad axis signal as that of left stick.
-             */
-            if (mapping.buttons.dpad.axis) {
-              processedChange.sticks.left = MappingManager.processAxisDpadAsLeftStick(
-                mapping.buttons.dpad, change.axes[mapping.buttons.dpad.axis], this.dpadState[i]
-              )
-            } else {
-              // we're trying to simulate a gamepad as a joystick here
-              processedChange.sticks.left =
-                MappingManager.processDpadAsLeftStick(
-                  mapping.buttons.dpad, change.buttons, this.dpadState[i]
-                )
-            }
+          if (typeof mapping.buttons.dpad.axis === 'number') {
+            // keep the stick change if the dpad axis didn't change
+            processedChange.sticks.left = MappingManager.processAxisDpadAsLeftStick(
+              mapping.buttons.dpad, changeAxes[mapping.buttons.dpad.axis], dpadState
+            ) || processedChange.sticks.left
           } else {
-            // stick is active, don't process dpad input as a stick
+            // we're trying to simulate a gamepad as a joystick here
+            processedChange.sticks.left =
+              MappingManager.processDpadAsLeftStick(
+                mapping.buttons.dpad, change.buttons,
+                dpadState, socdState
+              )
           }
-        } else if (processedChange.properties.indexOf('axisdpad') !== -1) {
-          // 'axisdpad': axis is dpad - certain axes represent dpad
-          // this is a weird gamepad
-          processedChange.buttons.dpad = MappingManager.processAxisDpad(
-            mapping.buttons.dpad, change.axes[mapping.buttons.dpad.axis], this.dpadState[i]
-          )
         } else {
-          // dpad is reasonably found as simple and clean four buttons
-          processedChange.buttons.dpad = MappingManager.processDpadSimple(
-            mapping.buttons.dpad, change.buttons, this.dpadState[i]
-          )
+          // stick is active, don't process dpad input as a stick
         }
-      }
-      // include stick style dpad state
-      if (
-        processedChange.buttons.dpad &&
-        (
-          processedChange.buttons.dpad.up ||
-          processedChange.buttons.dpad.down ||
-          processedChange.buttons.dpad.left ||
-          processedChange.buttons.dpad.right
+      } else if (processedChange.properties.indexOf('axisdpad') !== -1) {
+        // 'axisdpad': axis is dpad - certain axes represent dpad
+        // this is a weird gamepad
+        processedChange.buttons.dpad = MappingManager.processAxisDpad(
+          mapping.buttons.dpad, changeAxes[mapping.buttons.dpad.axis], dpadState
+        )
+      } else {
+        // dpad is reasonably found as simple and clean four buttons
+        processedChange.buttons.dpad = MappingManager.processDpadSimple(
+          mapping.buttons.dpad, change.buttons,
+          dpadState, socdState
         )
-      ) {
-        processedChange.buttons.dpad.value = { value: this.dpadState[i] }
       }
-      
-      // buttons.face and buttons.shoulder
-      Object.assign(
-        processedChange.buttons,
-        MappingManager.processButtons(mapping.buttons, change.buttons)
-      )
     }
-    
-    // dispatch the processed change
+    // include stick style dpad state
     if (
-      Object.keys(processedChanges).length &&
-      processedChanges[0] ||
-      processedChanges[1] ||
-      processedChanges[2] ||
-      processedChanges[3]
+      processedChange.buttons.dpad &&
+      (
+        processedChange.buttons.dpad.up ||
+        processedChange.buttons.dpad.down ||
+        processedChange.buttons.dpad.left ||
+        processedChange.buttons.dpad.right
+      )
     ) {
-      MappingManager.announceGamepadChange(processedChanges)
+      processedChange.buttons.dpad.value = { value: dpadState }
+    }
+    
+    // buttons.face, buttons.shoulder and buttons.extra
+    Object.assign(
+      processedChange.buttons,
+      MappingManager.processButtons(mapping.buttons, change.buttons, changeAxes)
+    )
+  }
+  
+  /**
+   * Store values of changed axes.
+   * @param {number[]} axisState reference to last seen axis values
+   * @param {?axisChange[]} changeAxes
+   */
+  static updateAxisState (axisState, changeAxes) {
+    if (!changeAxes) { return }
+    for (let a = 0; a < changeAxes.length; a++) {
+      if (changeAxes[a]) { axisState[a] = changeAxes[a].value }
     }
   }
   
@@ -1069,9 +3358,11 @@ class MappingManager {
    * @param {Object.<string, (number|Object.<string, number>)>} mappingSticks
    * @param {?axisChange[]} changeAxes
    * @param {?buttonChange[]} changeButtons
+   * @param {number[]} [axisState] last seen axis values,
+   * used for an unchanged axis of a stick when the other axis is changed
    * @returns {Object.<string, ?stickChange>}
    */
-  static processSticks (mappingSticks, changeAxes, changeButtons) {
+  static processSticks (mappingSticks, changeAxes, changeButtons, axisState) {
     const processedChangeSticks = {}
     
     for (let i = 0; i < 2; i++) {
@@ -1097,6 +3388,14 @@ class MappingManager {
         processedChangeSticks[side] = null
         continue
       }
+      // a stick is drawn with both axes, so fill in the unchanged one
+      if (axisState) {
+        const axisIndexes = [mappingStick.x, mappingStick.y]
+        for (let a = 0; a < 2; a++) {
+          if (value[a] || typeof axisState[axisIndexes[a]] !== 'number') { continue }
+          value[a] = { value: axisState[axisIndexes[a]], delta: 0 }
+        }
+      }
       
       // assign changes
       processedChangeSticks[side] = {
@@ -1115,15 +3414,118 @@ class MappingManager {
         value[2] ? value[2].pressed : null
       // looks for a stick deadzone or an all-stick deadzone
       const deadzone = mappingStick.deadzone || mappingSticks.deadzone || 0
-      isActive = processedChangeSticks[side].pressed ||
-                 (value[0] ? Math.abs(value[0].value) > deadzone : false) ||
-                 (value[1] ? Math.abs(value[1].value) > deadzone : false)
+      const shaping = MappingManager.getStickShaping(mappingSticks, side)
+      if (shaping) {
+        // values are shaped, so moves inside the deadzone are already 0
+        const shapedValues = MappingManager.shapeStickChange(value, shaping)
+        for (let a = 0; a < 2; a++) {
+          if (!value[a]) { continue }
+          processedChangeSticks[side].value[a] = shapedValues.value[a]
+          processedChangeSticks[side].delta[a] = shapedValues.delta[a]
+        }
+        isActive = processedChangeSticks[side].pressed ||
+                   shapedValues.value[0] !== 0 || shapedValues.value[1] !== 0
+      } else {
+        isActive = processedChangeSticks[side].pressed ||
+                   (value[0] ? Math.abs(value[0].value) > deadzone : false) ||
+                   (value[1] ? Math.abs(value[1].value) > deadzone : false)
+      }
       processedChangeSticks[side].active = isActive
     }
     
     return processedChangeSticks
   }
   
+  /**
+   * @typedef {Object} stickShaping
+   * @property {number} deadzone
+   * @property {string} deadzoneShape 'axial' or 'radial'
+   * @property {number} outerDeadzone
+   * @property {number} antiDeadzone
+   * @property {function(number): number} curve
+   */
+  /**
+   * Gather options to shape values of the stick,
+   * looking at the stick and then at all sticks for each of them.
+   * @param {Object.<string, (number|Object.<string, number>)>} mappingSticks
+   * @param {string} side
+   * @returns {?stickShaping} null if the stick doesn't have any of the options
+   */
+  static getStickShaping (mappingSticks, side) {
+    const mappingStick = mappingSticks[side]
+    const getOption = name =>
+      mappingStick.hasOwnProperty(name) ? mappingStick[name] : mappingSticks[name]
+    if (
+      MappingManager.stickShapingOptions.every(name => typeof getOption(name) === 'undefined')
+    ) { return null }
+    
+    const curve = getOption('curve')
+    return {
+      deadzone: mappingStick.deadzone || mappingSticks.deadzone || 0,
+      deadzoneShape: getOption('deadzoneShape') === 'radial' ? 'radial' : 'axial',
+      outerDeadzone: getOption('outerDeadzone') || 0,
+      antiDeadzone: getOption('antiDeadzone') || 0,
+      curve: typeof curve === 'number' && curve > 0 ?
+        x => Math.pow(x, curve) :
+        MappingManager.stickCurves[curve] || MappingManager.stickCurves.linear
+    }
+  }
+  /**
+   * Turn a deflection from 0 to 1 into a shaped one,
+   * going from the anti-deadzone to 1 out of the deadzone.
+   * @param {number} deflection
+   * @param {stickShaping} shaping
+   * @returns {number}
+   */
+  static shapeDeflection (deflection, shaping) {
+    if (deflection <= shaping.deadzone) { return 0 }
+    const range = 1 - shaping.outerDeadzone - shaping.deadzone
+    const scaled = range > 0 ?
+      Math.min(1, (deflection - shaping.deadzone) / range) : 1
+    return shaping.antiDeadzone + (1 - shaping.antiDeadzone) * shaping.curve(scaled)
+  }
+  /**
+   * Shape values of a stick.
+   * @param {number} x
+   * @param {number} y
+   * @param {stickShaping} shaping
+   * @returns {number[]} x and y
+   */
+  static shapeStickValue (x, y, shaping) {
+    if (shaping.deadzoneShape === 'radial') {
+      const distance = Math.hypot(x, y)
+      const shapedDistance =
+        MappingManager.shapeDeflection(Math.min(1, distance), shaping)
+      if (shapedDistance === 0) { return [0, 0] }
+      return [
+        Math.max(-1, Math.min(1, x / distance * shapedDistance)),
+        Math.max(-1, Math.min(1, y / distance * shapedDistance))
+      ]
+    }
+    return [x, y].map(v => {
+      const shaped = MappingManager.shapeDeflection(Math.min(1, Math.abs(v)), shaping)
+      // avoid making -0
+      return v < 0 && shaped !== 0 ? -shaped : shaped
+    })
+  }
+  /**
+   * Shape values of axes of a stick and their deltas.
+   * @param {Array<?axisChange>} value changes of x and y axes, null if unknown
+   * @param {stickShaping} shaping
+   * @returns {{value: number[], delta: number[]}} values of x and y
+   */
+  static shapeStickChange (value, shaping) {
+    const current = [0, 1].map(a => value[a] ? value[a].value : 0)
+    const previous = [0, 1].map(a => value[a] ? value[a].value - value[a].delta : 0)
+    const shapedValue = MappingManager.shapeStickValue(current[0], current[1], shaping)
+    const shapedPreviousValue =
+      MappingManager.shapeStickValue(previous[0], previous[1], shaping)
+    return {
+      value: shapedValue,
+      delta: [0, 1].map(a => shapedValue[a] - shapedPreviousValue[a])
+    }
+  }
+  
   /**
    * Convert axis dpad value as stick value for stickChange or
    * an array of four direction values.
@@ -1162,9 +3564,19 @@ class MappingManager {
       ]
     }
     
-    const directionIndex = directionValues.findIndex( d =>
-      Math.abs(value - d) < precision
-    )
+    // the closest one, as recorded values can be closer than the precision
+    let directionIndex = -1
+    for (let d = 0; d < directionValues.length; d++) {
+      const distance = Math.abs(value - directionValues[d])
+      if (
+        distance < precision && (
+          directionIndex === -1 ||
+          distance < Math.abs(value - directionValues[directionIndex])
+        )
+      ) {
+        directionIndex = d
+      }
+    }
     
     if (directionIndex === -1) { return null }
     
@@ -1173,16 +3585,146 @@ class MappingManager {
       dpad: conversionTable.dpad[directionIndex]
     }
   }
+  /**
+   * Read a value of a dpad conveyed by an axis,
+   * with the values recorded on the mapping if there are.
+   * @param {number} value
+   * @param {Object.<string, number>} mappingDpad dpad mapping
+   * @returns {?{stick: number[], dpad: number[]}}
+   * null if the dpad is at neutral, or the value isn't any of the directions.
+   */
+  static readAxisDpadValue (value, mappingDpad) {
+    if (!mappingDpad.hasOwnProperty('upright')) {
+      // the value is 0 when connected and recognized,
+      // and it's 23/7 when returned to its neutral position.
+      // active value can be negative or 1, and not 0.
+      if (value > 1 || value === 0) { return null }
+      return MappingManager.convertAxisDpadValue(value)
+    }
+    
+    // the mapping declared its own dpad values and comparison precision
+    // if `undefined` is passed to a parameter with a default value, the default will be used
+    const precision = mappingDpad.precision || undefined
+    if (typeof mappingDpad.neutral === 'number') {
+      if (Math.abs(value - mappingDpad.neutral) < (precision || 0.1)) { return null }
+    } else if (value > 1 || value === 0) {
+      return null
+    }
+    return MappingManager.convertAxisDpadValue(
+      value,
+      MappingManager.axisDpadDirections.map(direction => mappingDpad[direction]),
+      precision
+    )
+  }
+  /**
+   * directions of an axis dpad, from up in a clockwise order,
+   * as the order of values `convertAxisDpadValue` takes
+   * @type {string[]}
+   */
+  static get axisDpadDirections () {
+    return ['up', 'upright', 'right', 'downright', 'down', 'downleft', 'left', 'upleft']
+  }
+  /**
+   * @typedef {Object} socdState
+   * @description state of a dpad made of four buttons, before and after SOCD is resolved.
+   * Directions are in the order of up, down, left, and right.
+   * @property {number[]} raw values of the buttons as they're pressed
+   * @property {number[]} pressOrder
+   * order each direction was pressed in, 0 while it's released
+   * @property {number} presses number of presses counted so far
+   * @property {number[]} resolved values of the directions the game sees
+   * @property {boolean[]} conflicting
+   * true for a direction held but left out by the resolution
+   */
+  /**
+   * @returns {socdState}
+   */
+  static makeSOCDState () {
+    return {
+      raw: [0, 0, 0, 0],
+      pressOrder: [0, 0, 0, 0],
+      presses: 0,
+      resolved: [0, 0, 0, 0],
+      conflicting: [false, false, false, false]
+    }
+  }
+  /**
+   * Resolve simultaneous opposite cardinal directions,
+   * like left and right held together on an all-button controller.
+   * @param {string} mode one of {@link MappingManager.socdModes}
+   * @param {socdState} socdState reference to the state of the dpad
+   * @param {Array<?buttonChange>} values changes of up, down, left, and right dpad button
+   * @param {boolean} [withConflicts] put `conflicting` on the changes
+   * @returns {Array<?buttonChange>} changes of the directions after the resolution
+   */
+  static resolveSOCD (mode, socdState, values, withConflicts = false) {
+    for (let d = 0; d < 4; d++) {
+      if (!values[d]) { continue }
+      socdState.raw[d] = values[d].value
+      if (!(values[d].value > 0)) {
+        socdState.pressOrder[d] = 0
+      } else if (!socdState.pressOrder[d]) {
+        socdState.pressOrder[d] = ++socdState.presses
+      }
+    }
+    
+    const raw = socdState.raw
+    const order = socdState.pressOrder
+    const resolved = raw.slice()
+    for (let p = 0; p < 2; p++) {
+      const dn = p * 2, dp = 1 + p * 2
+      if (!(raw[dn] > 0 && raw[dp] > 0)) { continue }
+      // -1 for neither of them
+      let winner = -1
+      if (mode === 'last') {
+        winner = order[dn] > order[dp] ? dn : dp
+      } else if (mode === 'first') {
+        winner = order[dn] < order[dp] ? dn : dp
+      } else if (mode === 'up' && p === 0) {
+        winner = dn
+      }
+      if (winner !== dn) { resolved[dn] = 0 }
+      if (winner !== dp) { resolved[dp] = 0 }
+    }
+    
+    const changes = Array(4).fill(null)
+    for (let d = 0; d < 4; d++) {
+      const conflicting = raw[d] > 0 && resolved[d] === 0
+      const conflictChanged =
+        withConflicts && conflicting !== socdState.conflicting[d]
+      if (resolved[d] !== socdState.resolved[d] || conflictChanged) {
+        changes[d] = Object.assign({}, values[d], {
+          pressed: resolved[d] > 0,
+          value: resolved[d],
+          delta: resolved[d] - socdState.resolved[d]
+        })
+        if (withConflicts) { changes[d].conflicting = conflicting }
+      }
+      socdState.conflicting[d] = conflicting
+    }
+    socdState.resolved = resolved
+    
+    return changes
+  }
   /**
    * update last seen dpad state using new button change data
    * @param {number[]} dpadState reference to last seen dpad state
    * @param {Object.<string, number>} mappingDpad dpad mapping
    * @param {?buttonChange[]} changeButtons
+   * @param {socdState} [socdState] reference to the state to resolve SOCD with
    * @returns {?buttonChange[]} changes of up, down, left, and right dpad button
    */
-  static updateDpadState (dpadState, mappingDpad, changeButtons) {
+  static updateDpadState (dpadState, mappingDpad, changeButtons, socdState) {
     const directions = ['up', 'down', 'left', 'right']
-    const values = Array(4).fill(null)
+    let values = directions.map(
+      direction => changeButtons[mappingDpad[direction]] || null
+    )
+    const resolving = Boolean(mappingDpad.socd) && Boolean(socdState)
+    if (resolving) {
+      values = MappingManager.resolveSOCD(
+        mappingDpad.socd, socdState, values, mappingDpad.socdHighlight === true
+      )
+    }
   
     for (let p = 0; p < 2; p++) {
       /*
@@ -1190,11 +3732,10 @@ class MappingManager {
        * axisPair === 1 => directionNegative === 2, directionPositive === 3
        */
       const dn = p * 2, dp = 1 + p * 2
-      values[dn] = changeButtons[mappingDpad[directions[dn]]] || null
-      values[dp] = changeButtons[mappingDpad[directions[dp]]] || null
       if (values[dn] !== null || values[dp] !== null) {
         /* axisPair 0 => axis 1 (vertical), axisPair 1 => axis 0 (horizontal) */
-        dpadState[1 - p] =
+        dpadState[1 - p] = resolving ?
+          socdState.resolved[dp] - socdState.resolved[dn] :
           -1 * (values[dn] && values[dn].value || 0) +
           (values[dp] && values[dp].value || 0)
       }
@@ -1220,42 +3761,18 @@ class MappingManager {
    * @returns {?Object.<string, ?buttonChange>}
    */
   static processAxisDpad (mappingDpad, changeAxis, dpadState) {
-    const neutralValue = 23/7
-    const value = changeAxis ? changeAxis.value : neutralValue
-    const previousValue = changeAxis ? value - changeAxis.delta : neutralValue
-  
-    /*
-    converting up ~ upleft to 0 ~ 7,
-    in a clockwise order.
-    if I can be certain every dinput dpad value works in the same way I could make this much simpler...
-     */
-    // if `undefined` is passed to a parameter with a default value, the default will be used
-    // if `null` is passed, it's replaced by null.
-    const directions = mappingDpad.hasOwnProperty('upright') ? [
-      mappingDpad.up,
-      mappingDpad.upright,
-      mappingDpad.right,
-      mappingDpad.downright,
-      mappingDpad.down,
-      mappingDpad.downleft,
-      mappingDpad.left,
-      mappingDpad.upleft,
-    ] : undefined
-    const precision = mappingDpad.precision || undefined
+    // the axis didn't change, so every direction keeps its state
+    if (!changeAxis) {
+      return { up: null, down: null, left: null, right: null }
+    }
+    const value = changeAxis.value
+    const previousValue = value - changeAxis.delta
     const neutralValues = { stick: [0, 0, null], dpad: [0, 0, 0, 0] }
-  
-    // the value is 0 when connected and recognized,
-    // and it's 23/7 when returned to its neutral position.
-    // active value can be negative or 1, and not 0.
-    const dpadValues = (value > 1 || value === 0) ?
-      neutralValues : MappingManager.convertAxisDpadValue(
-        value, directions, precision
-      ) || neutralValues
-    
-    const dpadPreviousValues = (previousValue > 1 || previousValue === 0) ?
-      neutralValues : MappingManager.convertAxisDpadValue(
-        previousValue, directions, precision
-      ) || neutralValues
+    
+    const dpadValues =
+      MappingManager.readAxisDpadValue(value, mappingDpad) || neutralValues
+    const dpadPreviousValues =
+      MappingManager.readAxisDpadValue(previousValue, mappingDpad) || neutralValues
     
     const deltaValues = Array(4).fill(0)
     for(let d = 0; d < 4; d++) {
@@ -1289,43 +3806,17 @@ class MappingManager {
    * @returns {?stickChange}
    */
   static processAxisDpadAsLeftStick (mappingDpad, changeAxis, dpadState) {
-    const value = changeAxis ? changeAxis.value : 0
-    const delta = changeAxis ? changeAxis.delta : 0
-    const previousValue = value - delta
-    // the value is 0 when connected and recognized,
-    // and it's 23/7 when returned to its neutral position.
-    // active value can be negative or 1, and not 0.
-    const active = value !== 0 && value <= 1
-  
+    // the axis didn't change, so the stick keeps its state
+    if (!changeAxis) { return null }
+    const value = changeAxis.value
+    const previousValue = value - changeAxis.delta
     const neutralValues = { stick: [0, 0, null] }
-  
-    const conversionArgs = [[value], [delta]]
-    // the mapping declared its own dpad values and comparison precision
-    if (mappingDpad.hasOwnProperty('upright')) {
-      for (let i = 0; i < 2; i++) {
-        conversionArgs[i].push(
-          [
-            mappingDpad.up,
-            mappingDpad.upright,
-            mappingDpad.right,
-            mappingDpad.downright,
-            mappingDpad.down,
-            mappingDpad.downleft,
-            mappingDpad.left,
-            mappingDpad.upleft,
-          ],
-          mappingDpad.precision
-        )
-      }
-    }
     
-    const stickValues = active ?
-      MappingManager.convertAxisDpadValue(...conversionArgs[0]) || neutralValues :
-      neutralValues
-  
-    const stickPreviousValues = previousValue !== 0 && previousValue <= 1 ?
-      MappingManager.convertAxisDpadValue(...conversionArgs[1]) || neutralValues :
-      neutralValues
+    const convertedValues = MappingManager.readAxisDpadValue(value, mappingDpad)
+    const active = convertedValues !== null
+    const stickValues = convertedValues || neutralValues
+    const stickPreviousValues =
+      MappingManager.readAxisDpadValue(previousValue, mappingDpad) || neutralValues
     
     const deltaValues = [
       stickValues.stick[0] - stickPreviousValues.stick[0],
@@ -1347,10 +3838,13 @@ class MappingManager {
    * @param {Object.<string, number>} mappingDpad dpad mapping
    * @param  {?buttonChange[]} changeButtons
    * @param {number[]} dpadState reference to last seen dpad state
+   * @param {socdState} [socdState] reference to the state to resolve SOCD with
    * @returns {?Object.<string, ?buttonChange>}
    */
-  static processDpadSimple (mappingDpad, changeButtons, dpadState) {
-    const values = MappingManager.updateDpadState(dpadState, mappingDpad, changeButtons)
+  static processDpadSimple (mappingDpad, changeButtons, dpadState, socdState) {
+    const values = MappingManager.updateDpadState(
+      dpadState, mappingDpad, changeButtons, socdState
+    )
     
     // if (values.every(v => v === null)) { return null }
     
@@ -1366,27 +3860,43 @@ class MappingManager {
    * @param {Object.<string, number>} mappingDpad dpad mapping
    * @param  {?buttonChange[]} changeButtons
    * @param {number[]} dpadState reference to last seen dpad state
+   * @param {socdState} [socdState] reference to the state to resolve SOCD with
    * @returns {stickChange}
    */
-  static processDpadAsLeftStick (mappingDpad, changeButtons, dpadState) {
-    MappingManager.updateDpadState(dpadState, mappingDpad, changeButtons)
+  static processDpadAsLeftStick (mappingDpad, changeButtons, dpadState, socdState) {
+    MappingManager.updateDpadState(dpadState, mappingDpad, changeButtons, socdState)
     return {
       value: [dpadState[0], dpadState[1]],
       active: !!dpadState[0] || !!dpadState[1]
     }
   }
   
-  static processButtons (mappingButtons, changeButtons) {
+  /**
+   * Axis (positive half) => Mapped Button
+   * @param {?axisChange} changeAxis
+   * @returns {?buttonChange}
+   */
+  static processAxisButton (changeAxis) {
+    if (!changeAxis) { return null }
+    const value = Math.max(0, changeAxis.value)
+    const previousValue = Math.max(0, changeAxis.value - changeAxis.delta)
+    if (value === previousValue) { return null }
+    return {
+      pressed: value > MappingManager.axisButtonThreshold,
+      value: value,
+      delta: value - previousValue
+    }
+  }
+  /**
+   * @param {Object.<string, Object.<string, (number|{axis: number})>>} mappingButtons
+   * @param {?buttonChange[]} changeButtons
+   * @param {?axisChange[]} [changeAxes] for buttons conveyed by axes
+   * @returns {Object.<string, ?Object.<string, ?buttonChange>>}
+   */
+  static processButtons (mappingButtons, changeButtons, changeAxes) {
     const processedChangeButtons = {}
-    const buttonSide = ['face', 'shoulder']
-    const buttonIndex = [
-      [
-        'down', 'right', 'left', 'up', 'select', 'start', 'l3', 'r3', 'home', 'touchpad'
-      ],
-      [
-        'l1', 'r1', 'l2', 'r2'
-      ]
-    ]
+    const buttonNames = MappingManager.mappingButtonNames
+    const buttonSide = Object.keys(buttonNames)
     
     for (let s = 0; s < buttonSide.length; s++) {
       const side = buttonSide[s]
@@ -1397,7 +3907,7 @@ class MappingManager {
         continue
       }
       const mappingButtonsSide = mappingButtons[side]
-      const index = buttonIndex[s]
+      const index = buttonNames[side]
       processedChangeButtons[side] = {}
       
       for (let i = 0; i < index.length; i++) {
@@ -1407,6 +3917,12 @@ class MappingManager {
           processedChangeButtons[side][buttonName] = null
           continue
         }
+        if (mappingButtonsSideIndex && typeof mappingButtonsSideIndex === 'object') {
+          processedChangeButtons[side][buttonName] = changeAxes ?
+            MappingManager.processAxisButton(changeAxes[mappingButtonsSideIndex.axis]) :
+            null
+          continue
+        }
         processedChangeButtons[side][buttonName] =
           changeButtons[mappingButtonsSideIndex] || null
       }
@@ -122,6 +122,12 @@ class OnBrowserTextEditor {
   }
   
   static announceMessage = MPCommon.announceMessageFrom('On-Browser Text Editor')
+  /**
+   * number of validation errors shown on the editor at once,
+   * the rest are only in the error log
+   * @type {number}
+   */
+  static maxNotifiedErrors = 5
   
   /**
    * Change the data the editor is 'focusing' on.
@@ -136,7 +142,8 @@ class OnBrowserTextEditor {
    * and to update the reference stored in it.
    * @param {boolean} [raw=false] Display data without converting it to JSON if set to true.
    * @param {boolean} [nospace=false] Display data with spaces and newlines omitted.
-   * @param {string} [type='object'] tells the type of the data
+   * @param {string} [type='object'] tells the type of the data,
+   * 'object', 'map', or 'text' for a plain text given and taken as it is
    */
   changeFocus (
     title, dataRef, callback, {raw, nospace, type} = {
@@ -170,6 +177,9 @@ class OnBrowserTextEditor {
         case 'map':
           dataToStore = new Map(JSON.parse(this.dom.textarea.value || null))
           break
+        case 'text':
+          dataToStore = this.dom.textarea.value
+          break
         case 'object':
         default:
           dataToStore = JSON.parse(this.dom.textarea.value || null)
@@ -180,6 +190,14 @@ class OnBrowserTextEditor {
       if (result === true) {
         this.notify('Data are saved.')
         OnBrowserTextEditor.announceMessage(`Saved ${this.dataTitle} from the editor.`)
+      } else if (result && Array.isArray(result.errors)) {
+        // validation errors with paths to the wrong values
+        const shownErrors = result.errors.slice(0, OnBrowserTextEditor.maxNotifiedErrors)
+        if (result.errors.length > shownErrors.length) {
+          shownErrors.push(`...and ${result.errors.length - shownErrors.length} more in the error log.`)
+        }
+        this.notify('Data weren\'t accepted!\n' + shownErrors.join('\n'), true)
+        OnBrowserTextEditor.announceMessage(new Error(result.errors.join('\n')))
       } else {
         this.notify('Data weren\'t accepted! Check the error log.')
         OnBrowserTextEditor.announceMessage(new Error(JSON.stringify(result)))
@@ -199,6 +217,9 @@ class OnBrowserTextEditor {
         case 'map':
           dataToConvert = [...this.reference.data]
           break
+        case 'text':
+          dataToConvert = String(this.reference.data)
+          break
         case 'object':
         default:
           dataToConvert = this.reference.data
@@ -206,7 +227,7 @@ class OnBrowserTextEditor {
       }
       // put the data to the textarea
       this.dom.textarea.value =
-        format.raw ? dataToConvert :
+        format.raw || format.type === 'text' ? dataToConvert :
           format.nospace ? JSON.stringify(dataToConvert) :
             JSON.stringify(dataToConvert, null, 2)
       
@@ -0,0 +1,346 @@
+/**
+ * @typedef {Object} remoteInputMessage
+ * @description
+ * JSON text received from the WebSocket server, like those sent by `relay/sender.html`.
+ * Messages of other types are ignored.
+ *
+ * @property {string} type 'gamepads'
+ * @property {Array<?remoteGamepadState>} gamepads
+ * states of every gamepad on the remote PC.
+ * A gamepad not included is seen as disconnected.
+ */
+/**
+ * @typedef {Object} remoteGamepadState
+ * @description the part of a `Gamepad` Mini Padder uses
+ *
+ * @property {string} id
+ * @property {number} index
+ * @property {number} timestamp
+ * @property {number[]} axes
+ * @property {Array<{pressed: boolean, touched: boolean, value: number}>} buttons
+ */
+
+/**
+ * An {@link InputSource} that provides gamepads of another PC,
+ * received from a WebSocket server such as `relay/relay.js`.
+ *
+ * Remote gamepads get `Gamepad.index` values after {@link RemoteInputSource#indexOffset},
+ * so they don't collide with local gamepads.
+ * Timestamps are replaced with local ones when a state changes,
+ * as timestamps of another PC can't be compared with those of this one.
+ *
+ * @example
+ * const Remote = new RemoteInputSource()
+ * Watcher.addInputSource(Remote)
+ * Remote.connect('ws://192.168.0.2:8080/')
+ *
+ * @class
+ */
+class RemoteInputSource {
+  /**
+   * @param {function(string)} [statusCallback] called with a text describing the current state
+   * @param {number} [indexOffset] added to indexes of remote gamepads
+   */
+  constructor (statusCallback, indexOffset) {
+    this.updateStatus = statusCallback || (() => false)
+    this.indexOffset = typeof indexOffset === 'number' ?
+      indexOffset : RemoteInputSource.indexOffset
+    
+    const settings = this.loadSettings()
+    /** @type {string} */
+    this.url = settings.url
+    /**
+     * true if it should connect when the page is loaded,
+     * as it was connected the last time
+     * @type {boolean}
+     */
+    this.autoConnect = settings.autoConnect
+    
+    /** @type {?WebSocket} */
+    this.socket = null
+    this.reconnectID = 0
+    /**
+     * last received states, by their remote indexes
+     * @type {Object.<number, Gamepad>}
+     */
+    this.states = {}
+    /**
+     * remote timestamps of the last received states, to tell if they changed
+     * @type {Object.<number, number>}
+     */
+    this._remoteTimestamps = {}
+    
+    this.receive = this.receive.bind(this)
+    this.handleClose = this.handleClose.bind(this)
+    this.reconnect = this.reconnect.bind(this)
+  }
+  
+  static announceMessage = MPCommon.announceMessageFrom('Remote Input')
+  static localStorageKey = 'remoteInput'
+  static defaultUrl = 'ws://localhost:8080/'
+  /**
+   * @type {number}
+   * @see RemoteInputSource#indexOffset
+   */
+  static indexOffset = MPCommon.maxSlotAmount + 1
+  /**
+   * milliseconds to wait before connecting again after losing the connection
+   * @type {number}
+   */
+  static reconnectDelay = 3000
+  
+  /**
+   * `Gamepad.id` accepted from a sender: letters, numbers, spaces and
+   * the punctuation browsers use in ids, without anything read as markup
+   * @type {RegExp}
+   */
+  static idPattern = /^[\p{L}\p{N} ()[\]{}.,:;_\-+\/@#]{1,128}$/u
+  
+  /**
+   * Indexes are limited to the number of slots,
+   * as local gamepads and remote ones are looked through up to the highest index.
+   * Ids are limited to {@link RemoteInputSource.idPattern},
+   * as anything on the network can send states to the relay.
+   * @param {*} state
+   * @returns {boolean}
+   */
+  static isStateValid (state) {
+    return Boolean(
+      state &&
+      typeof state.id === 'string' &&
+      RemoteInputSource.idPattern.test(state.id) &&
+      Number.isInteger(state.index) && state.index >= 0 &&
+      state.index < MPCommon.maxSlotAmount &&
+      Array.isArray(state.axes) &&
+      state.axes.every(a => typeof a === 'number') &&
+      Array.isArray(state.buttons) &&
+      state.buttons.every(b => b && typeof b.value === 'number')
+    )
+  }
+  
+  /** @type {boolean} */
+  get connected () {
+    return Boolean(this.socket) && this.socket.readyState === WebSocket.OPEN
+  }
+  /**
+   * true while it's connected, connecting, or waiting to connect again
+   * @type {boolean}
+   */
+  get active () {
+    return Boolean(this.socket) || Boolean(this.reconnectID)
+  }
+  
+  /**
+   * @param {string} [url] the last used address if not given
+   * @returns {boolean}
+   */
+  connect (url) {
+    const newUrl = url ? url.trim() : this.url
+    if (!/^wss?:\/\//.test(newUrl)) {
+      RemoteInputSource.announceMessage(new Error(
+        `'${newUrl}' is not a WebSocket address. ` +
+        'It should start with ws:// or wss://.'
+      ))
+      return false
+    }
+    this.disconnect()
+    this.url = newUrl
+    
+    try {
+      this.socket = new WebSocket(this.url)
+    } catch (e) {
+      RemoteInputSource.announceMessage(e)
+      this.socket = null
+      return false
+    }
+    this.socket.addEventListener('open', () => {
+      RemoteInputSource.announceMessage(`Connected to ${this.url}.`)
+      this.updateStatus('Connected.')
+    })
+    this.socket.addEventListener('message', this.receive)
+    this.socket.addEventListener('close', this.handleClose)
+    
+    this.autoConnect = true
+    this.saveSettings()
+    this.updateStatus('Connecting...')
+    return true
+  }
+  /**
+   * Close the connection, and stop connecting again.
+   */
+  disconnect () {
+    if (!this.active) { return false }
+    
+    clearTimeout(this.reconnectID)
+    this.reconnectID = 0
+    const socket = this.socket
+    this.socket = null
+    if (socket) {
+      socket.removeEventListener('message', this.receive)
+      socket.removeEventListener('close', this.handleClose)
+      socket.close()
+    }
+    this.removeAllGamepads()
+    
+    this.autoConnect = false
+    this.saveSettings()
+    this.updateStatus('Not connected.')
+    return true
+  }
+  /**
+   * Try connecting again after a while, when the connection is lost.
+   * @param {CloseEvent} e
+   */
+  handleClose (e) {
+    if (e.target !== this.socket) { return }
+    this.socket = null
+    this.removeAllGamepads()
+    RemoteInputSource.announceMessage(
+      `Connection to ${this.url} is closed. ` +
+      `Trying again in ${RemoteInputSource.reconnectDelay / 1000} seconds.`,
+      'warn'
+    )
+    this.updateStatus('Disconnected. Trying again soon...')
+    this.reconnectID = setTimeout(
+      this.reconnect, RemoteInputSource.reconnectDelay
+    )
+  }
+  reconnect () {
+    this.reconnectID = 0
+    this.connect()
+  }
+  
+  /**
+   * Update states with a received message,
+   * and announce gamepads appeared or gone.
+   * @param {MessageEvent} e
+   */
+  receive (e) {
+    /** @type {remoteInputMessage} */
+    let message
+    try {
+      message = JSON.parse(e.data)
+    } catch (error) {
+      RemoteInputSource.announceMessage(new Error(
+        'Received a message that is not JSON.'
+      ))
+      return
+    }
+    if (
+      !message || message.type !== 'gamepads' ||
+      !Array.isArray(message.gamepads)
+    ) { return }
+    
+    const receivedIndexes = []
+    for (let g = 0; g < message.gamepads.length; g++) {
+      const remoteState = message.gamepads[g]
+      if (!RemoteInputSource.isStateValid(remoteState)) { continue }
+      const remoteIndex = remoteState.index
+      receivedIndexes.push(remoteIndex)
+      
+      const oldState = this.states[remoteIndex]
+      if (oldState && oldState.id !== remoteState.id) {
+        // a different gamepad took the index
+        this.removeGamepad(remoteIndex)
+      }
+      if (
+        this.states[remoteIndex] &&
+        this._remoteTimestamps[remoteIndex] === remoteState.timestamp
+      ) { continue }
+      
+      this._remoteTimestamps[remoteIndex] = remoteState.timestamp
+      const isNew = !this.states[remoteIndex]
+      this.states[remoteIndex] = {
+        id: remoteState.id,
+        index: this.indexOffset + remoteIndex,
+        connected: true,
+        mapping: '',
+        timestamp: performance.now(),
+        axes: remoteState.axes.slice(),
+        buttons: remoteState.buttons.map(b => ({
+          pressed: Boolean(b.pressed),
+          touched: Boolean(b.touched),
+          value: b.value
+        }))
+      }
+      if (isNew) { this.announceConnection(remoteIndex, true) }
+    }
+    
+    for (const remoteIndex in this.states) {
+      if (!this.states.hasOwnProperty(remoteIndex)) { continue }
+      if (receivedIndexes.indexOf(Number(remoteIndex)) !== -1) { continue }
+      this.removeGamepad(remoteIndex)
+    }
+  }
+  /**
+   * @param {number|string} remoteIndex
+   */
+  removeGamepad (remoteIndex) {
+    if (!this.states[remoteIndex]) { return }
+    this.announceConnection(remoteIndex, false)
+    delete this.states[remoteIndex]
+    delete this._remoteTimestamps[remoteIndex]
+  }
+  removeAllGamepads () {
+    Object.keys(this.states).forEach(
+      remoteIndex => this.removeGamepad(remoteIndex)
+    )
+  }
+  
+  /**
+   * Dispatch a connection event the same way the browser does.
+   * @param {number|string} remoteIndex
+   * @param {boolean} connection
+   * @fires event:gamepadconnected
+   * @fires event:gamepaddisconnected
+   */
+  announceConnection (remoteIndex, connection) {
+    const event = new Event(
+      connection ? 'gamepadconnected' : 'gamepaddisconnected'
+    )
+    event.gamepad = Object.assign(
+      this.copyState(this.states[remoteIndex]), { connected: connection }
+    )
+    window.dispatchEvent(event)
+  }
+  
+  /**
+   * @param {Gamepad} state
+   * @returns {Gamepad}
+   */
+  copyState (state) {
+    return Object.assign({}, state, {
+      axes: state.axes.slice(),
+      buttons: state.buttons.map(b => Object.assign({}, b))
+    })
+  }
+  /**
+   * @returns {Array<?Gamepad>}
+   * @see InputSource
+   */
+  getGamepads () {
+    return Object.values(this.states).map(state => this.copyState(state))
+  }
+  
+  saveSettings () {
+    window.localStorage.setItem(
+      RemoteInputSource.localStorageKey, JSON.stringify({
+        url: this.url,
+        autoConnect: this.autoConnect
+      })
+    )
+  }
+  /**
+   * @returns {{url: string, autoConnect: boolean}}
+   */
+  loadSettings () {
+    const settings = JSON.parse(
+      window.localStorage.getItem(RemoteInputSource.localStorageKey)
+    ) || {}
+    return {
+      url: typeof settings.url === 'string' ?
+        settings.url : RemoteInputSource.defaultUrl,
+      autoConnect: settings.autoConnect === true
+    }
+  }
+}
@@ -0,0 +1,236 @@
+/**
+ * @typedef {string} deviceKey
+ * @description
+ * gamepadId and an instance number joined with '#', e.g. `054c09cc#0`.
+ * The instance number tells apart gamepads of the same kind connected together,
+ * counted from 0 in the order they are connected.
+ */
+/**
+ * @typedef {Object} slotOccupant
+ * @property {number} sourceIndex `Gamepad.index` of the gamepad in the slot
+ * @property {deviceKey} deviceKey
+ */
+
+/**
+ * Decides which display slot each gamepad takes.
+ *
+ * Slots are remembered for each {@link deviceKey} in the local storage,
+ * so a gamepad takes the same slot when it's reconnected or
+ * when the browser gives it a different `Gamepad.index`.
+ * Nicknames given to devices are remembered the same way.
+ *
+ * @class
+ */
+class SlotAssigner {
+  /**
+   * @param {number} [slotAmount] number of slots available
+   */
+  constructor (slotAmount) {
+    this.slotAmount = slotAmount || MPCommon.maxGamepads || 4
+    /**
+     * slots last taken by each device
+     * @type {Object.<deviceKey, number>}
+     */
+    this.savedSlots = {}
+    /**
+     * nicknames given to each device
+     * @type {Object.<deviceKey, string>}
+     */
+    this.nicknames = {}
+    /**
+     * gamepads currently taking each slot
+     * @type {Array<?slotOccupant>}
+     */
+    this.occupants = Array(this.slotAmount).fill(null)
+    
+    this.load()
+  }
+  
+  static announceMessage = MPCommon.announceMessageFrom('Slot Assigner')
+  static localStorageKey = 'slotAssignment'
+  static nicknameLocalStorageKey = 'deviceNicknames'
+  
+  /**
+   * @param {gamepadId} gamepadId
+   * @param {number} instance
+   * @returns {deviceKey}
+   */
+  static makeDeviceKey (gamepadId, instance) {
+    return `${gamepadId}#${instance}`
+  }
+  
+  /**
+   * @param {number} sourceIndex
+   * @returns {number} slot of the gamepad, -1 if it doesn't have one
+   */
+  getSlot (sourceIndex) {
+    return this.occupants.findIndex(
+      occupant => occupant && occupant.sourceIndex === sourceIndex
+    )
+  }
+  /**
+   * @param {number} slot
+   * @returns {?slotOccupant}
+   */
+  getOccupant (slot) {
+    return this.occupants[slot] || null
+  }
+  /**
+   * @param {number} slot
+   * @returns {boolean}
+   */
+  isSlotFree (slot) {
+    return Number.isInteger(slot) &&
+      slot >= 0 && slot < this.slotAmount &&
+      !this.occupants[slot]
+  }
+  
+  /**
+   * @param {number} slot
+   * @returns {?string} nickname of the device in the slot
+   */
+  getNickname (slot) {
+    const occupant = this.getOccupant(slot)
+    return occupant ? this.nicknames[occupant.deviceKey] || null : null
+  }
+  /**
+   * Give a nickname to the device in the slot, or take it away with an empty one.
+   * @param {number} slot
+   * @param {string} nickname
+   * @returns {boolean}
+   */
+  setNickname (slot, nickname) {
+    const occupant = this.getOccupant(slot)
+    if (!occupant || typeof nickname !== 'string') { return false }
+    const trimmedNickname = nickname.trim()
+    if (trimmedNickname) {
+      this.nicknames[occupant.deviceKey] = trimmedNickname
+    } else {
+      delete this.nicknames[occupant.deviceKey]
+    }
+    this.save()
+    
+    return true
+  }
+  
+  /**
+   * Give a slot to the gamepad.
+   *
+   * The slot it took the last time is used if it's free.
+   * Otherwise it takes the first free slot no other device has taken before,
+   * or just the first free slot if there's none.
+   *
+   * @param {number} sourceIndex `Gamepad.index` of the gamepad
+   * @param {gamepadId} gamepadId
+   * @returns {number} slot given to the gamepad, -1 if every slot is taken
+   */
+  occupy (sourceIndex, gamepadId) {
+    const existingSlot = this.getSlot(sourceIndex)
+    if (existingSlot !== -1) { return existingSlot }
+    
+    let instance = 0
+    while (this.occupants.some(occupant =>
+      occupant &&
+      occupant.deviceKey === SlotAssigner.makeDeviceKey(gamepadId, instance)
+    )) { instance++ }
+    const deviceKey = SlotAssigner.makeDeviceKey(gamepadId, instance)
+    
+    let slot = this.savedSlots[deviceKey]
+    if (!this.isSlotFree(slot)) {
+      const takenBefore = Object.values(this.savedSlots)
+      const freeSlots = []
+      for (let s = 0; s < this.slotAmount; s++) {
+        if (this.isSlotFree(s)) { freeSlots.push(s) }
+      }
+      slot = freeSlots.find(s => takenBefore.indexOf(s) === -1)
+      if (typeof slot === 'undefined') {
+        slot = freeSlots.length ? freeSlots[0] : -1
+      }
+    }
+    if (slot === -1) { return -1 }
+    
+    this.occupants[slot] = {
+      sourceIndex: sourceIndex,
+      deviceKey: deviceKey
+    }
+    this.savedSlots[deviceKey] = slot
+    this.save()
+    
+    return slot
+  }
+  /**
+   * Free the slot the gamepad was taking.
+   * The slot is still remembered for the device.
+   * @param {number} sourceIndex
+   * @returns {number} slot the gamepad was taking, -1 if it didn't have one
+   */
+  vacate (sourceIndex) {
+    const slot = this.getSlot(sourceIndex)
+    if (slot !== -1) {
+      this.occupants[slot] = null
+    }
+    return slot
+  }
+  /**
+   * Exchange gamepads on two slots, and remember the new slots for them.
+   * @param {number} slotA
+   * @param {number} slotB
+   * @returns {boolean}
+   */
+  swap (slotA, slotB) {
+    if (
+      slotA === slotB ||
+      !Number.isInteger(slotA) || slotA < 0 || slotA >= this.slotAmount ||
+      !Number.isInteger(slotB) || slotB < 0 || slotB >= this.slotAmount
+    ) { return false }
+    
+    const occupantA = this.occupants[slotA]
+    this.occupants[slotA] = this.occupants[slotB]
+    this.occupants[slotB] = occupantA
+    if (this.occupants[slotA]) {
+      this.savedSlots[this.occupants[slotA].deviceKey] = slotA
+    }
+    if (this.occupants[slotB]) {
+      this.savedSlots[this.occupants[slotB].deviceKey] = slotB
+    }
+    this.save()
+    
+    return true
+  }
+  /**
+   * Forget slots remembered for devices not connected at the moment.
+   */
+  forgetDisconnected () {
+    this.savedSlots = {}
+    this.occupants.forEach((occupant, slot) => {
+      if (occupant) { this.savedSlots[occupant.deviceKey] = slot }
+    })
+    this.save()
+    SlotAssigner.announceMessage(
+      'Forgot slots of gamepads not connected at the moment.'
+    )
+  }
+  
+  save () {
+    window.localStorage.setItem(
+      SlotAssigner.localStorageKey, JSON.stringify(this.savedSlots)
+    )
+    window.localStorage.setItem(
+      SlotAssigner.nicknameLocalStorageKey, JSON.stringify(this.nicknames)
+    )
+  }
+  load () {
+    const savedSlots = JSON.parse(
+      window.localStorage.getItem(SlotAssigner.localStorageKey)
+    )
+    if (savedSlots && savedSlots.constructor === Object) {
+      this.savedSlots = savedSlots
+    }
+    const nicknames = JSON.parse(
+      window.localStorage.getItem(SlotAssigner.nicknameLocalStorageKey)
+    )
+    if (nicknames && nicknames.constructor === Object) {
+      this.nicknames = nicknames
+    }
+  }
+}
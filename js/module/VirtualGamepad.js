@@ -0,0 +1,434 @@
+/**
+ * @typedef {Object} virtualKeyBindings
+ * @description
+ * Keys are `KeyboardEvent.code` values.
+ *
+ * @property {Object.<string, number>} buttons
+ * index of the button pressed while the key is held
+ * @property {Object.<string, Array<number>>} axes
+ * `[axisIndex, direction]` where direction is either -1 or 1
+ */
+
+/**
+ * An {@link InputSource} that provides one standard gamepad
+ * made from keyboard keys, on-screen controls, or method calls from scripts.
+ *
+ * The states follow the layout of the standard gamepad of the Gamepad API,
+ * so the gamepad is mapped with the `XInput` mapping.
+ *
+ * @example
+ * const Pad = new VirtualGamepad()
+ * Watcher.addInputSource(Pad)
+ * Pad.connect()
+ * Pad.press(0)
+ * Pad.setStick('left', 1, 0)
+ *
+ * @class
+ */
+class VirtualGamepad {
+  /**
+   * @param {number} [index] `Gamepad.index` of the gamepad.
+   * An index browsers don't use is given if it's not set.
+   * @param {virtualKeyBindings} [keyBindings]
+   */
+  constructor (index, keyBindings) {
+    /** @type {Gamepad} */
+    this.state = {
+      id: VirtualGamepad.id,
+      index: typeof index === 'number' ? index : VirtualGamepad.index,
+      connected: false,
+      mapping: 'standard',
+      timestamp: performance.now(),
+      axes: Array(VirtualGamepad.axisAmount).fill(0),
+      buttons: Array(VirtualGamepad.buttonAmount).fill().map(() => ({
+        pressed: false, touched: false, value: 0
+      }))
+    }
+    
+    /** @type {virtualKeyBindings} */
+    this.keyBindings = keyBindings || this.loadKeyBindings()
+    this.keyboardEnabled = false
+    /**
+     * keys currently held for each axis, to resolve opposite keys held together
+     * @type {Object.<number, Object.<string, number>>}
+     */
+    this._heldAxisKeys = {}
+    
+    this.handleKeyboard = this.handleKeyboard.bind(this)
+    this.importKeyBindings = this.importKeyBindings.bind(this)
+  }
+  
+  static announceMessage = MPCommon.announceMessageFrom('Virtual Gamepad')
+  
+  static id = 'Virtual Gamepad (XInput STANDARD GAMEPAD)'
+  /**
+   * `Gamepad.index` used by default, out of the range browsers use,
+   * and after those of {@link KeyboardMouseDevice} and {@link RemoteInputSource}.
+   * @type {number}
+   */
+  static index = MPCommon.maxSlotAmount * 2 + 1
+  static buttonAmount = 17
+  static axisAmount = 4
+  /**
+   * labels of buttons in the order of the standard gamepad
+   * @type {string[]}
+   */
+  static buttonLabels = [
+    'A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT',
+    'Back', 'Start', 'LS', 'RS', '↑', '↓', '←', '→', 'Home'
+  ]
+  /**
+   * axis indexes of each stick, in `[x, y]` order
+   * @type {Object.<string, number[]>}
+   */
+  static stickAxes = {
+    left: [0, 1],
+    right: [2, 3]
+  }
+  /** @type {virtualKeyBindings} */
+  static defaultKeyBindings = {
+    buttons: {
+      KeyK: 0, KeyL: 1, KeyJ: 2, KeyI: 3,
+      KeyQ: 4, KeyE: 5, Digit1: 6, Digit3: 7,
+      Backspace: 8, Enter: 9, KeyC: 10, KeyN: 11,
+      ArrowUp: 12, ArrowDown: 13, ArrowLeft: 14, ArrowRight: 15,
+      KeyH: 16
+    },
+    axes: {
+      KeyA: [0, -1], KeyD: [0, 1], KeyW: [1, -1], KeyS: [1, 1],
+      Numpad4: [2, -1], Numpad6: [2, 1], Numpad8: [3, -1], Numpad5: [3, 1]
+    }
+  }
+  
+  /**
+   * Check if the given object can be used as {@link virtualKeyBindings}.
+   * @param {*} keyBindings
+   * @returns {boolean}
+   */
+  static isKeyBindingsValid (keyBindings) {
+    if (
+      !keyBindings ||
+      keyBindings.constructor !== Object ||
+      !keyBindings.buttons || keyBindings.buttons.constructor !== Object ||
+      !keyBindings.axes || keyBindings.axes.constructor !== Object
+    ) { return false }
+    return Object.values(keyBindings.buttons).every(b =>
+      Number.isInteger(b) && b >= 0 && b < VirtualGamepad.buttonAmount
+    ) && Object.values(keyBindings.axes).every(a =>
+      Array.isArray(a) &&
+      Number.isInteger(a[0]) && a[0] >= 0 && a[0] < VirtualGamepad.axisAmount &&
+      (a[1] === -1 || a[1] === 1)
+    )
+  }
+  
+  get index () {
+    return this.state.index
+  }
+  get connected () {
+    return this.state.connected
+  }
+  
+  /**
+   * Make a copy of the current state,
+   * so the watcher can compare it with the previous one.
+   * @returns {Gamepad}
+   */
+  getState () {
+    return Object.assign({}, this.state, {
+      axes: this.state.axes.slice(),
+      buttons: this.state.buttons.map(b => Object.assign({}, b))
+    })
+  }
+  /**
+   * @returns {Array<?Gamepad>}
+   * @see InputSource
+   */
+  getGamepads () {
+    return this.state.connected ? [this.getState()] : []
+  }
+  
+  /**
+   * Dispatch a connection event the same way the browser does.
+   * @param {boolean} connection
+   * @fires event:gamepadconnected
+   * @fires event:gamepaddisconnected
+   */
+  announceConnection (connection) {
+    const event = new Event(
+      connection ? 'gamepadconnected' : 'gamepaddisconnected'
+    )
+    event.gamepad = this.getState()
+    window.dispatchEvent(event)
+  }
+  connect () {
+    if (this.state.connected) { return false }
+    if (navigator.getGamepads()[this.state.index]) {
+      VirtualGamepad.announceMessage(new Error(
+        `A gamepad is already connected with the index ${this.state.index}.`
+      ))
+      return false
+    }
+    
+    this.state.connected = true
+    this.state.timestamp = performance.now()
+    this.announceConnection(true)
+    return true
+  }
+  disconnect () {
+    if (!this.state.connected) { return false }
+    
+    this.releaseAll()
+    this.state.connected = false
+    this.announceConnection(false)
+    return true
+  }
+  
+  /**
+   * @param {number} index
+   * @param {number|boolean} value
+   * @returns {boolean}
+   */
+  setButton (index, value) {
+    const button = this.state.buttons[index]
+    if (!button) {
+      VirtualGamepad.announceMessage(new Error(
+        `There's no button with the index ${index}.`
+      ))
+      return false
+    }
+    const newValue = Math.min(Math.max(Number(value), 0), 1)
+    if (button.value === newValue) { return true }
+    
+    button.value = newValue
+    button.pressed = newValue > 0
+    button.touched = newValue > 0
+    this.state.timestamp = performance.now()
+    return true
+  }
+  /**
+   * @param {number} index
+   * @param {number} value
+   * @returns {boolean}
+   */
+  setAxis (index, value) {
+    if (index < 0 || index >= this.state.axes.length) {
+      VirtualGamepad.announceMessage(new Error(
+        `There's no axis with the index ${index}.`
+      ))
+      return false
+    }
+    const newValue = Math.min(Math.max(Number(value), -1), 1)
+    if (this.state.axes[index] === newValue) { return true }
+    
+    this.state.axes[index] = newValue
+    this.state.timestamp = performance.now()
+    return true
+  }
+  /**
+   * @param {string} side either 'left' or 'right'
+   * @param {number} x
+   * @param {number} y
+   * @returns {boolean}
+   */
+  setStick (side, x, y) {
+    const axes = VirtualGamepad.stickAxes[side]
+    if (!axes) {
+      VirtualGamepad.announceMessage(new Error(
+        `There's no stick on the '${side}' side.`
+      ))
+      return false
+    }
+    return this.setAxis(axes[0], x) && this.setAxis(axes[1], y)
+  }
+  press (index) {
+    return this.setButton(index, 1)
+  }
+  release (index) {
+    return this.setButton(index, 0)
+  }
+  /**
+   * Press the button, then release it after the given time.
+   * @param {number} index
+   * @param {number} [duration=100] milliseconds to hold the button
+   * @returns {Promise<boolean>}
+   */
+  tap (index, duration = 100) {
+    if (!this.press(index)) { return Promise.resolve(false) }
+    return new Promise(resolve => {
+      setTimeout(() => resolve(this.release(index)), duration)
+    })
+  }
+  releaseAll () {
+    for (let b = 0; b < this.state.buttons.length; b++) {
+      this.setButton(b, 0)
+    }
+    for (let a = 0; a < this.state.axes.length; a++) {
+      this.setAxis(a, 0)
+    }
+    this._heldAxisKeys = {}
+  }
+  
+  /**
+   * @param {boolean} [enable]
+   * toggles the current state if not given
+   * @returns {boolean} the new state
+   */
+  toggleKeyboard (enable) {
+    const newState = typeof enable === 'boolean' ?
+      enable : !this.keyboardEnabled
+    if (newState === this.keyboardEnabled) { return newState }
+    
+    if (newState) {
+      window.addEventListener('keydown', this.handleKeyboard)
+      window.addEventListener('keyup', this.handleKeyboard)
+    } else {
+      window.removeEventListener('keydown', this.handleKeyboard)
+      window.removeEventListener('keyup', this.handleKeyboard)
+      this.releaseAll()
+    }
+    this.keyboardEnabled = newState
+    return newState
+  }
+  /**
+   * @param {KeyboardEvent} e
+   * @listens KeyboardEvent
+   */
+  handleKeyboard (e) {
+    if (!this.state.connected || e.repeat) { return }
+    // don't take keys typed into text fields
+    const tagName = e.target && e.target.tagName
+    if (tagName === 'INPUT' || tagName === 'TEXTAREA') { return }
+    
+    const pressed = e.type === 'keydown'
+    const buttonIndex = this.keyBindings.buttons[e.code]
+    const axisBinding = this.keyBindings.axes[e.code]
+    if (typeof buttonIndex === 'number') {
+      this.setButton(buttonIndex, pressed ? 1 : 0)
+    } else if (axisBinding) {
+      const axisIndex = axisBinding[0]
+      const heldKeys = this._heldAxisKeys[axisIndex] || {}
+      this._heldAxisKeys[axisIndex] = heldKeys
+      if (pressed) {
+        heldKeys[e.code] = axisBinding[1]
+      } else {
+        delete heldKeys[e.code]
+      }
+      // opposite keys held together cancel each other
+      const direction = Object.values(heldKeys).reduce((sum, d) => sum + d, 0)
+      this.setAxis(axisIndex, direction)
+    } else {
+      return
+    }
+    e.preventDefault()
+  }
+  
+  saveKeyBindings () {
+    window.localStorage.setItem(
+      'virtualGamepadKeys', JSON.stringify(this.keyBindings)
+    )
+  }
+  /**
+   * @returns {virtualKeyBindings}
+   */
+  loadKeyBindings () {
+    const keyBindings = JSON.parse(
+      window.localStorage.getItem('virtualGamepadKeys')
+    )
+    return VirtualGamepad.isKeyBindingsValid(keyBindings) ?
+      keyBindings :
+      JSON.parse(JSON.stringify(VirtualGamepad.defaultKeyBindings))
+  }
+  /**
+   * Replace key bindings with the given ones and save them.
+   * @param {virtualKeyBindings} keyBindings
+   * @returns {boolean}
+   */
+  importKeyBindings (keyBindings) {
+    if (!VirtualGamepad.isKeyBindingsValid(keyBindings)) {
+      VirtualGamepad.announceMessage(new Error(
+        'Given key bindings are not valid.'
+      ))
+      return false
+    }
+    this.releaseAll()
+    this.keyBindings = keyBindings
+    this.saveKeyBindings()
+    VirtualGamepad.announceMessage('Key bindings are updated.')
+    return true
+  }
+  
+  /**
+   * Fill the container with clickable buttons and draggable sticks.
+   * @param {HTMLElement} container
+   */
+  createControls (container) {
+    while (container.firstChild) {
+      container.removeChild(container.lastChild)
+    }
+    
+    const sticks = document.createElement('div')
+    sticks.classList.add('virtual-sticks')
+    Object.keys(VirtualGamepad.stickAxes).forEach(side => {
+      sticks.appendChild(this.createStickControl(side))
+    })
+    container.appendChild(sticks)
+    
+    const buttons = document.createElement('div')
+    buttons.classList.add('virtual-buttons')
+    VirtualGamepad.buttonLabels.forEach((label, index) => {
+      const button = document.createElement('button')
+      button.innerHTML = label
+      button.dataset.index = index.toString()
+      button.addEventListener('pointerdown', e => {
+        button.setPointerCapture(e.pointerId)
+        this.press(index)
+      })
+      button.addEventListener('pointerup', () => this.release(index))
+      button.addEventListener('pointercancel', () => this.release(index))
+      buttons.appendChild(button)
+    })
+    container.appendChild(buttons)
+  }
+  /**
+   * Make a square pad that sets the stick position while being dragged,
+   * and puts the stick back to the center when released.
+   * @param {string} side
+   * @returns {HTMLDivElement}
+   */
+  createStickControl (side) {
+    const pad = document.createElement('div')
+    pad.classList.add('virtual-stick')
+    pad.dataset.side = side
+    const knob = document.createElement('div')
+    pad.appendChild(knob)
+    
+    const moveStick = (x, y) => {
+      this.setStick(side, x, y)
+      knob.style.left = `${(x + 1) * 50}%`
+      knob.style.top = `${(y + 1) * 50}%`
+    }
+    const handlePointer = e => {
+      if (!pad.hasPointerCapture(e.pointerId)) { return }
+      const rect = pad.getBoundingClientRect()
+      let x = (e.clientX - rect.left) / rect.width * 2 - 1
+      let y = (e.clientY - rect.top) / rect.height * 2 - 1
+      // keep the position inside the circle a real stick can reach
+      const distance = Math.hypot(x, y)
+      if (distance > 1) {
+        x /= distance
+        y /= distance
+      }
+      moveStick(x, y)
+    }
+    pad.addEventListener('pointerdown', e => {
+      pad.setPointerCapture(e.pointerId)
+      handlePointer(e)
+    })
+    pad.addEventListener('pointermove', handlePointer)
+    pad.addEventListener('pointerup', () => moveStick(0, 0))
+    pad.addEventListener('pointercancel', () => moveStick(0, 0))
+    moveStick(0, 0)
+    
+    return pad
+  }
+}
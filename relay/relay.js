@@ -0,0 +1,278 @@
+/**
+ * Mini Padder Relay
+ *
+ * Passes gamepad states from one PC to Mini Padder on another.
+ * Run this on the PC that shows the overlay, with Node.js and no other packages:
+ *
+ *   node relay/relay.js [port]
+ *
+ * Then open the sender page served at the root, like `http://<address of this PC>:8080/`,
+ * in a browser on the PC the gamepads are plugged into,
+ * and connect Mini Padder to the same address from the Remote Input option of the control panel.
+ *
+ * Every text message received from a client is sent to all other clients,
+ * so any number of senders and overlays can share the relay.
+ *
+ * Only the overlay and the sender page can connect from browsers.
+ * Set `ORIGINS` to a comma separated list to allow the overlay from other addresses,
+ * like `ORIGINS=http://192.168.0.10:8000 node relay/relay.js`,
+ * or `ORIGINS=null` for pages opened from files in a browser.
+ */
+const http = require('http')
+const crypto = require('crypto')
+const fs = require('fs')
+const path = require('path')
+
+const port = parseInt(process.argv[2] || process.env.PORT) || 8080
+/**
+ * the longest message accepted, in bytes
+ * @type {number}
+ */
+const maxPayloadLength = 64 * 1024
+/**
+ * `Origin` of pages allowed to connect, other than the sender page served here:
+ * the hosted overlay, and the overlay opened as a local file in OBS.
+ * Browsers send `null` for pages opened from files, which sandboxed pages
+ * of any site can send too, so it's only allowed through `ORIGINS`.
+ * @type {string[]}
+ */
+const allowedOrigins = [
+  'https://dinir.github.io',
+  'http://absolute',
+  ...(process.env.ORIGINS || '').split(',').map(origin => origin.trim()).filter(origin => origin)
+]
+const websocketGuid = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11'
+const opcode = {
+  continuation: 0x0,
+  text: 0x1,
+  binary: 0x2,
+  close: 0x8,
+  ping: 0x9,
+  pong: 0xa
+}
+
+/** @type {Set<net.Socket>} */
+const clients = new Set()
+
+/**
+ * @param {string} message
+ */
+function log (message) {
+  console.log(`[${new Date().toLocaleTimeString()}] ${message}`)
+}
+
+/**
+ * Make a frame to send. Frames from a server are never masked.
+ * @param {number} frameOpcode
+ * @param {Buffer} payload
+ * @returns {Buffer}
+ */
+function makeFrame (frameOpcode, payload) {
+  let header
+  if (payload.length < 126) {
+    header = Buffer.alloc(2)
+    header[1] = payload.length
+  } else if (payload.length < 65536) {
+    header = Buffer.alloc(4)
+    header[1] = 126
+    header.writeUInt16BE(payload.length, 2)
+  } else {
+    header = Buffer.alloc(10)
+    header[1] = 127
+    header.writeBigUInt64BE(BigInt(payload.length), 2)
+  }
+  // always the final frame
+  header[0] = 0x80 | frameOpcode
+  return Buffer.concat([header, payload])
+}
+
+/**
+ * Read one frame from the start of the buffer.
+ * @param {Buffer} buffer
+ * @returns {?{fin: boolean, opcode: number, payload: Buffer, length: number}}
+ * null if the buffer doesn't have the whole frame yet.
+ * `length` is the number of bytes the frame takes in the buffer.
+ */
+function readFrame (buffer) {
+  if (buffer.length < 2) { return null }
+  const fin = (buffer[0] & 0x80) !== 0
+  const frameOpcode = buffer[0] & 0x0f
+  const masked = (buffer[1] & 0x80) !== 0
+  let payloadLength = buffer[1] & 0x7f
+  let offset = 2
+
+  if (payloadLength === 126) {
+    if (buffer.length < offset + 2) { return null }
+    payloadLength = buffer.readUInt16BE(offset)
+    offset += 2
+  } else if (payloadLength === 127) {
+    if (buffer.length < offset + 8) { return null }
+    const longLength = buffer.readBigUInt64BE(offset)
+    payloadLength = longLength > BigInt(maxPayloadLength) ?
+      Infinity : Number(longLength)
+    offset += 8
+  }
+  if (payloadLength > maxPayloadLength) {
+    throw new RangeError('The message is too long.')
+  }
+
+  let mask = null
+  if (masked) {
+    if (buffer.length < offset + 4) { return null }
+    mask = buffer.subarray(offset, offset + 4)
+    offset += 4
+  }
+  if (buffer.length < offset + payloadLength) { return null }
+
+  const payload = Buffer.from(buffer.subarray(offset, offset + payloadLength))
+  if (mask) {
+    for (let i = 0; i < payload.length; i++) {
+      payload[i] ^= mask[i % 4]
+    }
+  }
+  return {
+    fin: fin,
+    opcode: frameOpcode,
+    payload: payload,
+    length: offset + payloadLength
+  }
+}
+
+/**
+ * @param {net.Socket} sender
+ * @param {string} message
+ */
+function broadcast (sender, message) {
+  const frame = makeFrame(opcode.text, Buffer.from(message))
+  for (const client of clients) {
+    if (client === sender || client.destroyed) { continue }
+    client.write(frame)
+  }
+}
+
+/**
+ * Keep reading frames from the socket, and pass text messages to others.
+ * @param {net.Socket} socket
+ * @param {string} name to tell the client in the log
+ */
+function handleClient (socket, name) {
+  let received = Buffer.alloc(0)
+  /**
+   * parts of a message split into several frames
+   * @type {Buffer[]}
+   */
+  let fragments = []
+
+  clients.add(socket)
+  log(`${name} connected. Clients: ${clients.size}`)
+
+  const close = () => {
+    if (!clients.delete(socket)) { return }
+    log(`${name} disconnected. Clients: ${clients.size}`)
+  }
+
+  socket.on('data', data => {
+    received = Buffer.concat([received, data])
+    try {
+      let frame
+      while ((frame = readFrame(received))) {
+        received = received.subarray(frame.length)
+        switch (frame.opcode) {
+          case opcode.text:
+          case opcode.continuation:
+            fragments.push(frame.payload)
+            if (
+              fragments.reduce((sum, f) => sum + f.length, 0) > maxPayloadLength
+            ) {
+              throw new RangeError('The message is too long.')
+            }
+            if (frame.fin) {
+              broadcast(socket, Buffer.concat(fragments).toString())
+              fragments = []
+            }
+            break
+          case opcode.ping:
+            socket.write(makeFrame(opcode.pong, frame.payload))
+            break
+          case opcode.close:
+            socket.end(makeFrame(opcode.close, Buffer.alloc(0)))
+            close()
+            return
+          default:
+            // binary messages and pongs are not used
+            break
+        }
+      }
+    } catch (e) {
+      log(`${name}: ${e.message}`)
+      socket.end(makeFrame(opcode.close, Buffer.alloc(0)))
+      close()
+    }
+  })
+  socket.on('close', close)
+  socket.on('error', e => {
+    log(`${name}: ${e.message}`)
+    close()
+  })
+}
+
+const server = http.createServer((request, response) => {
+  if (request.url === '/' || request.url === '/sender.html') {
+    fs.readFile(path.join(__dirname, 'sender.html'), (e, data) => {
+      if (e) {
+        response.writeHead(500)
+        response.end()
+        return
+      }
+      response.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' })
+      response.end(data)
+    })
+    return
+  }
+  response.writeHead(404)
+  response.end()
+})
+
+server.on('upgrade', (request, socket) => {
+  const key = request.headers['sec-websocket-key']
+  if (
+    !key ||
+    (request.headers.upgrade || '').toLowerCase() !== 'websocket'
+  ) {
+    socket.end('HTTP/1.1 400 Bad Request\r\n\r\n')
+    return
+  }
+  // browsers always send the origin, so other web pages can't connect
+  const origin = request.headers.origin
+  if (
+    typeof origin === 'string' &&
+    origin !== `http://${request.headers.host}` &&
+    allowedOrigins.indexOf(origin) === -1
+  ) {
+    log(`Refused a connection from ${origin}.`)
+    socket.end('HTTP/1.1 403 Forbidden\r\n\r\n')
+    return
+  }
+
+  const accept = crypto.createHash('sha1')
+    .update(key + websocketGuid)
+    .digest('base64')
+  socket.write([
+    'HTTP/1.1 101 Switching Protocols',
+    'Upgrade: websocket',
+    'Connection: Upgrade',
+    `Sec-WebSocket-Accept: ${accept}`,
+    '', ''
+  ].join('\r\n'))
+  socket.setNoDelay(true)
+
+  handleClient(
+    socket, `${request.socket.remoteAddress}:${request.socket.remotePort}`
+  )
+})
+
+server.listen(port, () => {
+  log(`Mini Padder Relay is listening on port ${port}.`)
+  log(`Open http://localhost:${port}/ to send gamepads from this PC,`)
+  log(`or connect to ws://<address of this PC>:${port}/ from other PCs.`)
+})